@@ -4,16 +4,517 @@
  * @param {object} RED Provides the module access to the Node-RED runtime api
  */
 module.exports = function(RED) {
+    const fabricNetwork = require('fabric-network');
+    const errors = require('./lib/errors');
+    const decoder = require('./lib/decoder');
+    const profileLoader = require('./lib/profile');
+    const metadata = require('./lib/metadata');
+    const simulatorLib = require('./lib/simulator');
+    const metricsLib = require('./lib/metrics');
+    const pool = require('./lib/pool');
+
+    const COMMIT_STRATEGIES = ['MSPID_SCOPE_ALLFORTX', 'MSPID_SCOPE_ANYFORTX', 'NETWORK_SCOPE_ALLFORTX', 'NETWORK_SCOPE_ANYFORTX', 'none'];
+    const QUERY_STRATEGIES = ['MSPID_SCOPE_SINGLE', 'MSPID_SCOPE_ROUND_ROBIN'];
+
+    /**
+     * Parses a timeout in seconds from the node configuration
+     * @param {string} value the configured value
+     * @param {number} defaultValue the value used when nothing is configured
+     * @param {string} name the name of the setting, for the error message
+     * @returns {number} the timeout
+     */
+    function parseTimeout(value, defaultValue, name) {
+        if (value === undefined || value === null || value === '') {
+            return defaultValue;
+        }
+        const timeout = Number(value);
+        if (isNaN(timeout) || timeout < 0) {
+            throw new Error(name + ' should be a positive number of seconds, got ' + value);
+        }
+        return timeout;
+    }
+
+    /**
+     * Builds the discovery, commit and query options passed to Gateway.connect from the node configuration
+     * @param {object} n Node configuration
+     * @returns {object} the gateway options
+     */
+    function gatewayOptions(n) {
+        const commitStrategy = n.commitStrategy || 'MSPID_SCOPE_ALLFORTX';
+        if (!COMMIT_STRATEGIES.includes(commitStrategy)) {
+            throw new Error('unknown commit strategy ' + commitStrategy);
+        }
+        const queryStrategy = n.queryStrategy || 'MSPID_SCOPE_SINGLE';
+        if (!QUERY_STRATEGIES.includes(queryStrategy)) {
+            throw new Error('unknown query strategy ' + queryStrategy);
+        }
+        return {
+            discovery: {
+                enabled: n.discoveryEnabled !== false,
+                asLocalhost: n.discoveryAsLocalhost !== false
+            },
+            eventHandlerOptions: {
+                strategy: commitStrategy === 'none' ? null : fabricNetwork.DefaultEventHandlerStrategies[commitStrategy],
+                commitTimeout: parseTimeout(n.commitTimeout, 300, 'commit timeout'),
+                endorseTimeout: parseTimeout(n.endorseTimeout, 45, 'endorse timeout')
+            },
+            queryHandlerOptions: {
+                strategy: fabricNetwork.DefaultQueryHandlerStrategies[queryStrategy],
+                timeout: parseTimeout(n.queryTimeout, 30, 'query timeout')
+            }
+        };
+    }
+
+    /**
+     * Connects the gateway of an identity, or a gateway of the simulated network
+     * @param {Node} node the config node
+     * @param {string} identityName identityName
+     * @param {object} profile the parsed connection profile
+     * @returns {PromiseLike<Gateway | never>} promise
+     */
+    async function connectGateway(node, identityName, profile) {
+        if (node.simulator) {
+            return node.simulator.connect(identityName);
+        }
+        const gateway = new fabricNetwork.Gateway();
+        const wallet = await node.getWallet();
+        const options = Object.assign({
+            wallet: wallet,
+            identity: identityName
+        }, node.getGatewayOptions());
+        try {
+            await gateway.connect(profile, options);
+        } catch (error) {
+            gateway.disconnect();
+            throw error;
+        }
+        return gateway;
+    }
+
+    /**
+     * Creates a wallet, either the wallet directory or an in memory wallet holding the identity of the credentials
+     * @param {object} settings the walletType, walletLocation, identityName and credentials of a config node
+     * @returns {PromiseLike<Wallet | never>} promise
+     */
+    async function createWallet(settings) {
+        if (settings.walletType !== 'credentials') {
+            return new fabricNetwork.FileSystemWallet(settings.walletLocation);
+        }
+        const credentials = settings.credentials || {};
+        if (!credentials.mspId || !credentials.certificate || !credentials.privateKey) {
+            throw new Error('the connection should contain an MSP ID, a certificate and a private key');
+        }
+        const wallet = new fabricNetwork.InMemoryWallet();
+        const identity = fabricNetwork.X509WalletMixin.createIdentity(credentials.mspId, credentials.certificate, credentials.privateKey);
+        await wallet.import(settings.identityName, identity);
+        return wallet;
+    }
+
+    /**
+     * Loads the connection profile of a config node, from its file or its text. Relative paths of an inline
+     * profile are resolved against the Node-RED user directory, then against the working directory of Node-RED,
+     * where the SDK resolved them before
+     * @param {object} settings the profileSource, profilePath and connectionProfile of a config node
+     * @returns {object} the profile
+     */
+    function loadProfile(settings) {
+        return profileLoader.load({
+            source: settings.profileSource,
+            path: settings.profilePath,
+            text: settings.connectionProfile,
+            baseDir: RED.settings.userDir || process.cwd(),
+            fallbackDir: process.cwd(),
+            env: process.env
+        });
+    }
+
+    /**
+     * Runs a check of a connection test, recording its outcome in the report
+     * @param {object} report the entry of the report
+     * @param {Function} check an async function
+     * @returns {Promise<boolean>} promise resolving to true if the check succeeded
+     */
+    async function runCheck(report, check) {
+        try {
+            await check();
+            report.ok = true;
+        } catch (error) {
+            report.ok = false;
+            report.error = error.message;
+        }
+        return report.ok;
+    }
+
+    /**
+     * Picks a channel to check an orderer with: a channel of the profile listing the orderer, any channel
+     * of the profile, or a channel joined by a peer
+     * @param {object} profile the parsed connection profile
+     * @param {string} ordererName the name of the orderer
+     * @param {Array} joined the channels joined by the peers
+     * @returns {string} the name of the channel, or undefined if there is none
+     */
+    function ordererChannel(profile, ordererName, joined) {
+        const channels = profile.channels || {};
+        const names = Object.keys(channels);
+        return names.find((name) => (channels[name].orderers || []).includes(ordererName)) || names[0] || joined[0];
+    }
+
+    /**
+     * Tests the settings of a config node: parses the profile, looks for the identity in the wallet and tries to
+     * reach each peer and orderer of the profile
+     * @param {object} settings the settings of the config node, as edited
+     * @returns {Promise<object>} promise resolving to the report of each check
+     */
+    async function testConnection(settings) {
+        let report = { profile: {}, identity: { name: settings.identityName }, peers: [], orderers: [] };
+        let profile;
+        let wallet;
+        if (settings.connectionType === 'simulation') {
+            await runCheck(report.profile, async () => {
+                simulatorLib.createSimulator({ contract: settings.simulationContract, code: settings.contractCode });
+                report.profile.name = 'simulated network';
+            });
+            report.identity.ok = report.profile.ok;
+            return report;
+        }
+        const profileOk = await runCheck(report.profile, async () => {
+            profile = loadProfile(settings);
+            report.profile.name = profile.name;
+        });
+        if (!profileOk) {
+            return report;
+        }
+        const identityOk = await runCheck(report.identity, async () => {
+            wallet = await createWallet(settings);
+            if (!await wallet.exists(settings.identityName)) {
+                throw new Error('identity ' + settings.identityName + ' is not in the wallet');
+            }
+            const identity = await wallet.export(settings.identityName);
+            report.identity.mspId = identity.mspId;
+        });
+        if (!identityOk) {
+            return report;
+        }
+        const gateway = new fabricNetwork.Gateway();
+        try {
+            await gateway.connect(profile, { wallet: wallet, identity: settings.identityName, discovery: { enabled: false } });
+            const client = gateway.getClient();
+            for (const name of Object.keys(profile.peers || {})) {
+                let peerReport = { name: name };
+                report.peers.push(peerReport);
+                await runCheck(peerReport, async () => {
+                    const peer = client.getPeer(name);
+                    peerReport.url = peer.getUrl();
+                    const response = await client.queryChannels(peer);
+                    peerReport.channels = response.channels.map((channel) => channel.channel_id);
+                });
+            }
+            const joined = [].concat(...report.peers.map((peerReport) => peerReport.channels || []));
+            for (const name of Object.keys(profile.orderers || {})) {
+                let ordererReport = { name: name };
+                report.orderers.push(ordererReport);
+                // an orderer only answers the requests of a channel, so read the genesis block of a channel it serves
+                const channelName = ordererChannel(profile, name, joined);
+                if (!channelName) {
+                    ordererReport.url = client.getOrderer(name).getUrl();
+                    ordererReport.skipped = 'no channel to query';
+                    continue;
+                }
+                await runCheck(ordererReport, async () => {
+                    ordererReport.url = client.getOrderer(name).getUrl();
+                    ordererReport.channel = channelName;
+                    const channel = client.getChannel(channelName, false) || client.newChannel(channelName);
+                    await channel.getGenesisBlock({ orderer: name });
+                });
+            }
+        } finally {
+            gateway.disconnect();
+        }
+        return report;
+    }
+
+    /**
+     * Gets a channel through the gateway of a deployed config node
+     * @param {Node} node the config node
+     * @param {string} channelName channel
+     * @returns {PromiseLike<Channel | never>} promise
+     */
+    async function getChannel(node, channelName) {
+        const gateway = await node.getGateway();
+        const network = await gateway.getNetwork(channelName);
+        return network.getChannel();
+    }
+
+    /**
+     * Lists the channels of a deployed config node: the channels of the profile and the channels joined by the
+     * first peer of the organization
+     * @param {Node} node the config node
+     * @returns {Promise<Array>} promise resolving to the names of the channels
+     */
+    async function listChannels(node) {
+        let channels = Object.keys(node.getProfile().channels || {});
+        const gateway = await node.getGateway();
+        const client = gateway.getClient();
+        const peers = client.getPeersForOrg();
+        if (peers.length > 0) {
+            try {
+                const response = await client.queryChannels(peers[0]);
+                channels = channels.concat(response.channels.map((channel) => channel.channel_id));
+            } catch (error) {
+                node.warn('Could not query the channels of ' + peers[0].getName() + ': ' + error.message);
+            }
+        }
+        return channels.filter((channel, index) => channels.indexOf(channel) === index);
+    }
+
+    /**
+     * Sends the result of an async function as the JSON response of an admin request, or the error with a 500 status
+     * @param {object} res the response
+     * @param {Function} task an async function
+     */
+    function respond(res, task) {
+        task().then((result) => res.json(result), (error) => res.status(500).json({ error: error.message }));
+    }
+
+    /**
+     * Returns the deployed config node of an admin request, or sends a 404
+     * @param {object} req the request
+     * @param {object} res the response
+     * @returns {Node} the config node
+     */
+    function deployedNode(req, res) {
+        const node = RED.nodes.getNode(req.params.id);
+        if (!node || node.type !== 'fabric-config') {
+            res.status(404).json({ error: 'the connection should be deployed first' });
+            return null;
+        }
+        return node;
+    }
+
     /**
      * Creates the config node
      * @param {object} n Node configuration
      */
     function FabricConfigNode(n) {
-        RED.nodes.createNode(this, n);
-        this.configLabel = n.configLabel;
-        this.identityName = n.identityName;
-        this.connectionProfile = n.connectionProfile;
-        this.walletLocation = n.walletLocation;
-    }
-    RED.nodes.registerType('fabric-config', FabricConfigNode);
-};
\ No newline at end of file
+        let node = this;
+        RED.nodes.createNode(node, n);
+        node.configLabel = n.configLabel;
+        node.identityName = n.identityName;
+        node.connectionProfile = n.connectionProfile;
+        node.profileSource = n.profileSource || 'inline';
+        node.profilePath = n.profilePath;
+        node.walletType = n.walletType || 'filesystem';
+        node.walletLocation = n.walletLocation;
+        node.metrics = metricsLib.createMetrics(node.id);
+        let wallet = null;
+        let metadataCache = {};
+        let options = null;
+        let optionsError = null;
+        let allowList = [];
+        let idleTimeout = 0;
+        try {
+            options = gatewayOptions(n);
+            allowList = pool.parseAllowList(n.identityAllowList);
+            idleTimeout = parseTimeout(n.identityIdleTimeout, 300, 'identity idle timeout');
+        } catch (error) {
+            optionsError = error;
+            node.error('Invalid gateway options: ' + error.message);
+        }
+        node.gateways = pool.createGatewayPool(node, idleTimeout, (identityName, profile) => connectGateway(node, identityName, profile));
+        let profile = null;
+        let profileError = null;
+        node.simulator = null;
+        if (n.connectionType === 'simulation') {
+            try {
+                node.simulator = simulatorLib.createSimulator({ contract: n.simulationContract, code: n.contractCode });
+                profile = { name: 'simulation-' + node.id };
+                node.log('using simulated network');
+            } catch (error) {
+                profileError = error;
+                node.error('Invalid simulated contract: ' + error.message);
+            }
+        } else {
+            try {
+                profile = loadProfile(node);
+                node.log('loaded connection profile ' + (node.profileSource === 'file' ? node.profilePath : profile.name));
+            } catch (error) {
+                profileError = error;
+                node.error('Invalid connection profile: ' + error.message);
+            }
+        }
+
+        /**
+         * Returns parsed profile from connection
+         * @returns {object} the parsed profile
+         */
+        node.getProfile = function() {
+            if (profileError) {
+                throw profileError;
+            }
+            return profile;
+        };
+
+        /**
+         * Returns the error found in the configuration when it was deployed, if any
+         * @returns {Error} the error, or null
+         */
+        node.getConfigError = function() {
+            return profileError || optionsError;
+        };
+
+        /**
+         * Shows the error found in the configuration, if any, in the status of a node using this config node
+         * @param {Node} user the node using the config node
+         * @returns {boolean} true if the configuration is valid
+         */
+        node.showConfigError = function(user) {
+            const error = node.getConfigError();
+            if (error) {
+                user.status({ fill: 'red', shape: 'ring', text: error.message.length > 60 ? error.message.substring(0, 57) + '...' : error.message });
+            }
+            return !error;
+        };
+
+        /**
+         * Returns the options passed to Gateway.connect
+         * @returns {object} the gateway options
+         */
+        node.getGatewayOptions = function() {
+            if (optionsError) {
+                throw optionsError;
+            }
+            return options;
+        };
+
+        /**
+         * Returns the wallet holding the identities, either the wallet directory or an in memory wallet
+         * holding the identity stored in the node credentials
+         * @returns {PromiseLike<Wallet | never>} promise
+         */
+        node.getWallet = function() {
+            if (!wallet) {
+                node.log(node.walletType === 'credentials' ? 'using identity from credentials' : 'using wallet ' + node.walletLocation);
+                wallet = createWallet(node).catch((error) => {
+                    wallet = null;
+                    throw error;
+                });
+            }
+            return wallet;
+        };
+
+        /**
+         * Gets a connected gateway from the pool
+         * @param {string} identityName identityName, defaults to the identity of the config node
+         * @returns {PromiseLike<Gateway | never>} promise
+         */
+        node.getGateway = function(identityName = node.identityName) {
+            return node.gateways.get(identityName);
+        };
+
+        /**
+         * Tells if a message can choose an identity. The identity of the config node is always allowed
+         * @param {string} identityName identityName
+         * @returns {boolean} true if the identity is in the allow-list
+         */
+        node.isIdentityAllowed = function(identityName) {
+            return identityName === node.identityName || allowList.some((matches) => matches(identityName));
+        };
+
+        /**
+         * Gets the metadata of a contract, calling its GetMetadata system transaction the first time
+         * @param {string} channelName channel
+         * @param {string} contractName contract
+         * @param {string} identityName identityName, defaults to the identity of the config node
+         * @returns {Promise<object>} promise resolving to the metadata, or null if the contract has none
+         */
+        node.getMetadata = function(channelName, contractName, identityName = node.identityName) {
+            const cacheKey = channelName + '/' + contractName;
+            if (!metadataCache[cacheKey]) {
+                metadataCache[cacheKey] = (async () => {
+                    const gateway = await node.getGateway(identityName);
+                    const network = await gateway.getNetwork(channelName);
+                    const result = await network.getContract(contractName).evaluateTransaction(metadata.GET_METADATA);
+                    node.log('loaded metadata of ' + cacheKey);
+                    return JSON.parse(result.toString('utf8'));
+                })().catch((error) => {
+                    if (error.isProposalResponse || error.status >= 400 || errors.classify(error).code === errors.CHAINCODE_ERROR) {
+                        // the peer answered but the chaincode does not use the contract API, remember it has no metadata
+                        node.warn('Contract ' + cacheKey + ' has no metadata: ' + error.message);
+                        return null;
+                    }
+                    delete metadataCache[cacheKey];
+                    throw error;
+                });
+            }
+            return metadataCache[cacheKey];
+        };
+
+        node.on('close', () => {
+            metadataCache = {};
+            node.gateways.disconnect();
+            if (node.simulator) {
+                node.simulator.close();
+            }
+        });
+    }
+    RED.nodes.registerType('fabric-config', FabricConfigNode, {
+        credentials: {
+            mspId: { type: 'text' },
+            certificate: { type: 'text' },
+            privateKey: { type: 'password' }
+        }
+    });
+
+    RED.httpAdmin.post('/fabric-config/test', RED.auth.needsPermission('fabric-config.write'), (req, res) => {
+        let settings = req.body || {};
+        let credentials = Object.assign({}, settings.credentials);
+        // password fields are not sent back to the editor, use the stored private key when it was not changed
+        if ((!credentials.privateKey || credentials.privateKey === '__PWRD__') && settings.id) {
+            credentials.privateKey = (RED.nodes.getCredentials(settings.id) || {}).privateKey;
+        }
+        settings.credentials = credentials;
+        respond(res, () => testConnection(settings));
+    });
+
+    RED.httpAdmin.get('/fabric-config/:id/channels', RED.auth.needsPermission('fabric-config.read'), (req, res) => {
+        const node = deployedNode(req, res);
+        if (node) {
+            respond(res, () => listChannels(node));
+        }
+    });
+
+    RED.httpAdmin.get('/fabric-config/:id/channels/:channel/peers', RED.auth.needsPermission('fabric-config.read'), (req, res) => {
+        const node = deployedNode(req, res);
+        if (node) {
+            respond(res, async () => {
+                const channel = await getChannel(node, req.params.channel);
+                return channel.getChannelPeers().map((peer) => {
+                    return { name: peer.getName(), url: peer.getUrl(), mspId: peer.getMspid() };
+                });
+            });
+        }
+    });
+
+    RED.httpAdmin.get('/fabric-config/:id/channels/:channel/chaincodes', RED.auth.needsPermission('fabric-config.read'), (req, res) => {
+        const node = deployedNode(req, res);
+        if (node) {
+            respond(res, async () => {
+                const channel = await getChannel(node, req.params.channel);
+                return decoder.decodeChaincodes(await channel.queryInstantiatedChaincodes());
+            });
+        }
+    });
+
+    RED.httpAdmin.get('/fabric-config/:id/channels/:channel/chaincodes/:contract/metadata', RED.auth.needsPermission('fabric-config.read'), (req, res) => {
+        const node = deployedNode(req, res);
+        if (node) {
+            respond(res, async () => {
+                const contractMetadata = await node.getMetadata(req.params.channel, req.params.contract);
+                return {
+                    metadata: contractMetadata,
+                    transactions: contractMetadata ? metadata.listTransactions(contractMetadata) : []
+                };
+            });
+        }
+    });
+};
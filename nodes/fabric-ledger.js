@@ -0,0 +1,215 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+/**
+ * Exports fabric-ledger node
+ * @param {object} RED Provides the module access to the Node-RED runtime api
+ */
+module.exports = function(RED) {
+    const decoder = require('./lib/decoder');
+    const errors = require('./lib/errors');
+
+    const QUERIES = ['info', 'block', 'blockByHash', 'blockByTxid', 'blockRange', 'transaction', 'installedChaincodes', 'instantiatedChaincodes'];
+
+    /**
+     * Gets the channel of a network through the gateway pool of the connection. The gateway is held
+     * until it is released, so that it is not disconnected when idle during a long query
+     * @param {Node} node the node
+     * @param {string} identityName identityName
+     * @param {string} channelName channel
+     * @returns {PromiseLike<object | never>} promise resolving to the channel and the function releasing the gateway
+     */
+    async function getChannel(node, identityName, channelName) {
+        const lease = await node.connection.gateways.acquire(identityName);
+        try {
+            const network = await lease.gateway.getNetwork(channelName);
+            return { channel: network.getChannel(), release: lease.release };
+        } catch (error) {
+            node.connection.gateways.reportError(identityName, error);
+            lease.release();
+            throw error;
+        }
+    }
+
+    /**
+     * Finds the peer targeted by a query, by name or the first peer of the channel
+     * @param {Channel} channel the channel
+     * @param {string} peerName the name of the peer, optional
+     * @returns {Peer} the peer
+     */
+    function getPeer(channel, peerName) {
+        if (peerName) {
+            return channel.getChannelPeer(peerName).getPeer();
+        }
+        const channelPeers = channel.getChannelPeers();
+        if (channelPeers.length === 0) {
+            throw new Error('channel ' + channel.getName() + ' has no peers');
+        }
+        return channelPeers[0].getPeer();
+    }
+
+    /**
+     * Parses a block number from a message
+     * @param {any} value the block number
+     * @param {string} name the name of the property, for the error message
+     * @returns {number} the block number
+     */
+    function parseBlockNumber(value, name) {
+        const blockNumber = Number(value);
+        if (value === undefined || value === null || value === '' || !Number.isInteger(blockNumber) || blockNumber < 0) {
+            throw new Error('message should contain ' + name + ' as a positive integer');
+        }
+        return blockNumber;
+    }
+
+    /**
+     * Create a ledger node
+     * @param {object} config The configuration set on the node
+     * @constructor
+     */
+    function FabricLedgerNode(config) {
+        let node = this;
+        RED.nodes.createNode(node, config);
+        let closing = false;
+        const connection = RED.nodes.getNode(config.connection);
+        if (connection) {
+            connection.showConfigError(node);
+        }
+
+        /**
+         * Decodes a block according to the output format of the node
+         * @param {object} block the block
+         * @returns {object} the block
+         */
+        function outputBlock(block) {
+            return config.ledgerOutput === 'raw' ? block : decoder.decodeBlock(block);
+        }
+
+        /**
+         * Reads a range of blocks one at a time, sending each one as a part of a sequence
+         * @param {Channel} channel the channel
+         * @param {object} msg the msg object
+         * @param {object} payload the query, with the startBlock and the optional endBlock
+         * @param {string} resultProperty the property the block is written to
+         */
+        async function streamBlocks(channel, msg, payload, resultProperty) {
+            const startBlock = parseBlockNumber(payload.startBlock, 'startBlock');
+            let endBlock;
+            if (payload.endBlock === undefined || payload.endBlock === null || payload.endBlock === '') {
+                const info = decoder.decodeInfo(await channel.queryInfo());
+                endBlock = info.height - 1;
+            } else {
+                endBlock = parseBlockNumber(payload.endBlock, 'endBlock');
+            }
+            if (endBlock < startBlock) {
+                throw new Error('endBlock ' + endBlock + ' is before startBlock ' + startBlock);
+            }
+            const count = endBlock - startBlock + 1;
+            const partsId = RED.util.generateId();
+            for (let index = 0; index < count; index++) {
+                if (closing) {
+                    return;
+                }
+                const block = await channel.queryBlock(startBlock + index);
+                let part = RED.util.cloneMessage(msg);
+                RED.util.setMessageProperty(part, resultProperty, outputBlock(block));
+                part.parts = {
+                    id: partsId,
+                    index: index,
+                    count: count,
+                    type: 'array',
+                    len: 1
+                };
+                node.status({ fill: 'blue', shape: 'dot', text: (index + 1) + '/' + count + ' blocks' });
+                node.send(part);
+            }
+            node.status({});
+        }
+
+        node.on('input', async function(msg) {
+            node.connection = RED.nodes.getNode(config.connection);
+            let identityName;
+            let release = null;
+            try {
+                const payload = msg.payload && typeof msg.payload === 'object' ? msg.payload : {};
+                const query = payload.query || config.query;
+                if (!QUERIES.includes(query)) {
+                    throw new Error('unknown query ' + query);
+                }
+                const requested = msg.identity || payload.identityName;
+                if (requested && !node.connection.isIdentityAllowed(requested)) {
+                    throw errors.invalidRequest('identity ' + requested + ' is not allowed by the connection');
+                }
+                identityName = requested || config.identityName || node.connection.identityName;
+                const channelName = payload.channelName || config.channelName;
+                const resultProperty = config.resultProperty || 'payload';
+                const held = await getChannel(node, identityName, channelName);
+                const channel = held.channel;
+                release = held.release;
+                let result;
+                if (query === 'info') {
+                    result = decoder.decodeInfo(await channel.queryInfo());
+                } else if (query === 'block') {
+                    result = outputBlock(await channel.queryBlock(parseBlockNumber(payload.blockNumber, 'blockNumber')));
+                } else if (query === 'blockByHash') {
+                    if (typeof payload.blockHash !== 'string') {
+                        throw new Error('message should contain a blockHash of type string');
+                    }
+                    result = outputBlock(await channel.queryBlockByHash(Buffer.from(payload.blockHash, 'hex')));
+                } else if (query === 'blockByTxid') {
+                    if (typeof payload.transactionId !== 'string') {
+                        throw new Error('message should contain a transactionId of type string');
+                    }
+                    result = outputBlock(await channel.queryBlockByTxID(payload.transactionId));
+                } else if (query === 'transaction') {
+                    if (typeof payload.transactionId !== 'string') {
+                        throw new Error('message should contain a transactionId of type string');
+                    }
+                    const transaction = await channel.queryTransaction(payload.transactionId);
+                    result = config.ledgerOutput === 'raw' ? transaction : decoder.decodeTransaction(transaction);
+                } else if (query === 'installedChaincodes') {
+                    const gateway = await node.connection.getGateway(identityName);
+                    const peer = getPeer(channel, payload.peerName);
+                    result = decoder.decodeChaincodes(await gateway.getClient().queryInstalledChaincodes(peer));
+                } else if (query === 'instantiatedChaincodes') {
+                    result = decoder.decodeChaincodes(await channel.queryInstantiatedChaincodes(payload.peerName ? getPeer(channel, payload.peerName) : undefined));
+                } else {
+                    await streamBlocks(channel, msg, payload, resultProperty);
+                    return;
+                }
+                RED.util.setMessageProperty(msg, resultProperty, result);
+                node.send(msg);
+                node.status({});
+            } catch (error) {
+                if (node.connection && identityName) {
+                    node.connection.gateways.reportError(identityName, error);
+                }
+                node.status({ fill: 'red', shape: 'dot', text: 'Error' });
+                node.error('Error: ' + error.message, msg);
+            } finally {
+                if (release) {
+                    release();
+                }
+            }
+        });
+
+        node.on('close', () => {
+            closing = true;
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType('fabric-ledger', FabricLedgerNode);
+};
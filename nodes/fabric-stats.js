@@ -0,0 +1,94 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * @param {object} RED Provides the module access to the Node-RED runtime api
+ */
+module.exports = function(RED) {
+
+    /**
+     * Create a stats node
+     * @param {object} config The configuration set on the node
+     * @constructor
+     */
+    function FabricStatsNode(config) {
+        let node = this;
+        RED.nodes.createNode(node, config);
+        const connection = RED.nodes.getNode(config.connection);
+        let sequence = 0;
+        let timer = null;
+
+        /**
+         * Builds the metrics of the connection and of each node using it, with the events recorded since the last message
+         * @returns {object} the metrics
+         */
+        function collect() {
+            const snapshot = connection.metrics.snapshot(sequence);
+            sequence = snapshot.sequence;
+            const nodes = Object.keys(snapshot.scopes).filter((id) => id !== connection.id).map((id) => {
+                const user = RED.nodes.getNode(id);
+                return Object.assign({ id: id, type: user ? user.type : null, name: user ? user.name || '' : '' }, snapshot.scopes[id]);
+            });
+            return {
+                timestamp: snapshot.timestamp,
+                connection: Object.assign({ id: connection.id, name: connection.configLabel || connection.name || '' }, snapshot.scopes[connection.id] || {}),
+                nodes: nodes,
+                events: snapshot.events
+            };
+        }
+
+        /**
+         * Sends the metrics in a message
+         * @param {object} msg the msg object to send, a new message when the metrics are sent periodically
+         */
+        function emit(msg) {
+            try {
+                if (!connection) {
+                    throw new Error('the node should have a connection');
+                }
+                msg.topic = msg.topic || 'fabric-stats';
+                msg.payload = collect();
+                node.send(msg);
+                node.status({ fill: 'green', shape: 'dot', text: new Date().toLocaleTimeString() });
+            } catch (error) {
+                node.status({ fill: 'red', shape: 'dot', text: 'Error' });
+                node.error('Error: ' + error.message, msg);
+            }
+        }
+
+        const interval = Number(config.interval === undefined || config.interval === '' ? 60 : config.interval);
+        if (isNaN(interval) || interval < 0) {
+            node.status({ fill: 'red', shape: 'ring', text: 'Invalid interval' });
+            node.error('interval should be a positive number of seconds, got ' + config.interval);
+        } else if (interval > 0) {
+            timer = setInterval(() => emit({}), interval * 1000);
+        }
+
+        node.on('input', function(msg) {
+            emit(msg);
+            if (msg.reset === true && connection) {
+                connection.metrics.reset();
+            }
+        });
+
+        node.on('close', () => {
+            clearInterval(timer);
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType('fabric-stats', FabricStatsNode);
+};
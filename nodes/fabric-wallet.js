@@ -0,0 +1,240 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * @param {object} RED Provides the module access to the Node-RED runtime api
+ */
+module.exports = function(RED) {
+    const fabricNetwork = require('fabric-network');
+    const jsrsasign = require('jsrsasign');
+
+    const OPERATIONS = ['import', 'list', 'exists', 'export', 'delete'];
+
+    const DAY = 24 * 60 * 60 * 1000;
+
+    /**
+     * Reads the expiry date of a PEM certificate
+     * @param {string} certificate the certificate in PEM format
+     * @returns {Date} the date after which the certificate is not valid
+     */
+    function certificateExpiry(certificate) {
+        const x509 = new jsrsasign.X509();
+        try {
+            x509.readCertPEM(certificate);
+            return jsrsasign.zulutodate(x509.getNotAfter());
+        } catch (error) {
+            throw new Error('invalid certificate: ' + (error.message || error));
+        }
+    }
+
+    /**
+     * Reads a positive number of the node configuration
+     * @param {any} value the configured value
+     * @param {number} defaultValue the value used when nothing is configured
+     * @param {string} name the name of the setting, for the error message
+     * @returns {number} the number
+     */
+    function parsePositive(value, defaultValue, name) {
+        if (value === undefined || value === null || value === '') {
+            return defaultValue;
+        }
+        const number = Number(value);
+        if (isNaN(number) || number <= 0) {
+            throw new Error(name + ' should be a positive number, got ' + value);
+        }
+        return number;
+    }
+
+    /**
+     * Reads a label of the wallet from a message
+     * @param {object} payload the payload of the message
+     * @returns {string} the label
+     */
+    function parseLabel(payload) {
+        if (typeof payload.label !== 'string' || payload.label === '') {
+            throw new Error('message should contain a label of type string');
+        }
+        return payload.label;
+    }
+
+    /**
+     * Create a wallet node
+     * @param {object} config The configuration set on the node
+     * @constructor
+     */
+    function FabricWalletNode(config) {
+        let node = this;
+        RED.nodes.createNode(node, config);
+        let expiryTimer = null;
+        const connection = RED.nodes.getNode(config.connection);
+
+        /**
+         * Gets the wallet directory of the connection. Identities stored in the credentials of the connection
+         * or simulated are not in a wallet
+         * @returns {PromiseLike<Wallet | never>} promise
+         */
+        function getWallet() {
+            if (!connection) {
+                return Promise.reject(new Error('the node should have a connection'));
+            }
+            if (connection.simulator) {
+                return Promise.reject(new Error('a simulated connection has no wallet'));
+            }
+            if (connection.walletType === 'credentials') {
+                return Promise.reject(new Error('the connection reads its identity from its credentials, not from a wallet'));
+            }
+            return connection.getWallet();
+        }
+
+        /**
+         * Describes an identity of the wallet with its certificate expiry
+         * @param {Wallet} wallet the wallet
+         * @param {string} label the label of the identity
+         * @returns {Promise<object>} promise resolving to the label, MSP ID and expiry of the identity
+         */
+        async function describe(wallet, label) {
+            const identity = await wallet.export(label);
+            if (!identity) {
+                throw new Error('identity ' + label + ' is not in the wallet');
+            }
+            const notAfter = certificateExpiry(identity.certificate);
+            return {
+                label: label,
+                mspId: identity.mspId,
+                notAfter: notAfter.toISOString(),
+                expired: notAfter.getTime() <= Date.now()
+            };
+        }
+
+        /**
+         * Runs an operation on the wallet
+         * @param {string} operation the operation
+         * @param {object} payload the payload of the message
+         * @returns {Promise<any>} promise resolving to the result of the operation
+         */
+        async function runOperation(operation, payload) {
+            const wallet = await getWallet();
+            if (operation === 'list') {
+                const identities = await wallet.list();
+                let result = [];
+                for (const identity of identities) {
+                    result.push(await describe(wallet, identity.label));
+                }
+                return result;
+            }
+            const label = parseLabel(payload);
+            const exists = await wallet.exists(label);
+            if (operation === 'exists') {
+                return { label: label, exists: exists };
+            }
+            if (operation === 'import') {
+                ['mspId', 'certificate', 'privateKey'].forEach((name) => {
+                    if (typeof payload[name] !== 'string' || payload[name] === '') {
+                        throw new Error('message should contain a ' + name + ' of type string');
+                    }
+                });
+                if (exists && payload.overwrite !== true) {
+                    throw new Error('identity ' + label + ' is already in the wallet, set overwrite to replace it');
+                }
+                certificateExpiry(payload.certificate);
+                await wallet.import(label, fabricNetwork.X509WalletMixin.createIdentity(payload.mspId, payload.certificate, payload.privateKey));
+                return describe(wallet, label);
+            }
+            if (!exists) {
+                throw new Error('identity ' + label + ' is not in the wallet');
+            }
+            if (operation === 'export') {
+                const identity = await wallet.export(label);
+                return {
+                    label: label,
+                    type: identity.type,
+                    mspId: identity.mspId,
+                    certificate: identity.certificate,
+                    privateKey: identity.privateKey
+                };
+            }
+            await wallet.delete(label);
+            return { label: label, deleted: true };
+        }
+
+        /**
+         * Looks for the certificates of the wallet which expire within the warning period, sending a message
+         * on the second output for each of them
+         */
+        async function checkExpiry() {
+            try {
+                const warning = parsePositive(config.expiryWarning, 30, 'expiry warning') * DAY;
+                const identities = await runOperation('list', {});
+                const expiring = identities.filter((identity) => new Date(identity.notAfter).getTime() - Date.now() <= warning);
+                expiring.forEach((identity) => {
+                    const daysLeft = Math.floor((new Date(identity.notAfter).getTime() - Date.now()) / DAY);
+                    node.send([null, {
+                        topic: 'expiry',
+                        payload: Object.assign({ daysLeft: daysLeft }, identity)
+                    }]);
+                });
+                if (expiring.some((identity) => identity.expired)) {
+                    node.status({ fill: 'red', shape: 'ring', text: expiring.filter((identity) => identity.expired).length + ' expired certificates' });
+                } else if (expiring.length > 0) {
+                    node.status({ fill: 'yellow', shape: 'ring', text: expiring.length + ' certificates expire soon' });
+                } else {
+                    node.status({ fill: 'green', shape: 'dot', text: identities.length + ' identities checked' });
+                }
+            } catch (error) {
+                node.status({ fill: 'red', shape: 'dot', text: 'Error' });
+                node.error('Expiry check failed: ' + error.message);
+            }
+        }
+
+        if (connection) {
+            connection.showConfigError(node);
+        }
+        if (config.expiryCheck) {
+            try {
+                const interval = parsePositive(config.expiryInterval, 24, 'expiry check interval') * 60 * 60 * 1000;
+                expiryTimer = setInterval(checkExpiry, interval);
+                setImmediate(checkExpiry);
+            } catch (error) {
+                node.status({ fill: 'red', shape: 'ring', text: 'Invalid expiry check' });
+                node.error(error.message);
+            }
+        }
+
+        node.on('input', async function(msg) {
+            try {
+                const payload = msg.payload && typeof msg.payload === 'object' ? msg.payload : {};
+                const operation = payload.operation || config.operation;
+                if (!OPERATIONS.includes(operation)) {
+                    throw new Error('unknown operation ' + operation);
+                }
+                const result = await runOperation(operation, payload);
+                RED.util.setMessageProperty(msg, config.resultProperty || 'payload', result);
+                node.send([msg, null]);
+                node.status({});
+            } catch (error) {
+                node.status({ fill: 'red', shape: 'dot', text: 'Error' });
+                node.error('Error: ' + error.message, msg);
+            }
+        });
+
+        node.on('close', () => {
+            clearInterval(expiryTimer);
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType('fabric-wallet', FabricWalletNode);
+};
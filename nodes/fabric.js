@@ -15,145 +15,150 @@
 'use strict';
 module.exports = function(RED) {
     const util = require('util');
-    const fabricNetwork = require('fabric-network');
-    const fabricClient = require('fabric-client');
+    const crypto = require('crypto');
+    const decoder = require('./lib/decoder');
+    const errors = require('./lib/errors');
+    const metadata = require('./lib/metadata');
+    const checkpointLib = require('./lib/checkpoint');
+    const workQueue = require('./lib/queue');
+    const retry = require('./lib/retry');
+    const failover = require('./lib/failover');
 
 
     // The list of the event hubs, "indexed" by the node id
     // Think of it like a C# dictionnary
     let eventHubsHandler = {};
+    // The event subscriptions, "indexed" by the node id then by the subscription id
+    let subscriptions = {};
+    // The event hubs disconnected on purpose, which should not fail over
+    let closedHubs = new WeakSet();
+
+    // Interval at which the status of a node is refreshed, so that the rates decrease when nothing happens
+    const STATUS_INTERVAL = 5000;
 
     /**
-     * An object that manages all gateways
+     *
+     * @param {string} identityName identityName
+     * @param {string} channelName channel
+     * @param {string} contractName contract
+     * @param {Node} node node
+     * @param {boolean} acquire true to hold the gateway until it is released, so that it is not disconnected when idle
+     * @returns {PromiseLike<object | never>} promise resolving to the contract, the network and the function releasing the gateway
      */
-    let gateways = (function() {
-        let list = {};
-        /**
-         * Get the gateway based on its name
-         * @param {string} identityName identityName
-         * @param {string} mspid mspid
-         * @returns {PromiseLike<Contract | never>} promise
-         */
-        async function get(identityName, mspid) {
-            if (list.hasOwnProperty[mspid + identityName]) {
-                return list[mspid + identityName];
-            } else {
-                return null;
-            }
-        }
-
-        /**
-         * Returns MSPID from connection profile
-         * @param {Node} node node
-         * @param {object} parsedProfile the parsed profile
-         * @returns {PromiseLike<Contract | never>} promise
-         */
-        async function getMspid(node, parsedProfile) {
-            const client = await fabricClient.loadFromConfig(parsedProfile);
-            const mspid = client.getMspid();
-            node.log('got mspid,' + mspid);
-            return mspid;
-        }
-        /**
-         * Returns parsed profile from connection
-         * @param {Node} node node
-         * @returns {PromiseLike<Contract | never>} promise
-         */
-        async function getProfile(node) {
-            const parsedProfile = JSON.parse(node.connection.connectionProfile);
-            node.log('loaded client from connection profile');
-            return parsedProfile;
-        }
-        /**
-         * Builds a gateway and its options
-         * @param {string} identityName identityName
-         * @param {string} mspid mspid
-         * @param {object} parsedProfile parsedProfile
-         * @param {Node} node node
-         * @returns {PromiseLike<Contract | never>} promise
-         */
-        async function create(identityName, mspid, parsedProfile, node) {
-            let gateway = new fabricNetwork.Gateway();
-            const wallet = new fabricNetwork.FileSystemWallet(node.connection.walletLocation);
-            node.log('got wallet');
-            const options = {
-                wallet: wallet,
-                identity: identityName,
-                discovery: {
-                    asLocalhost: true
-                }
-            };
-            list[mspid + identityName] = {
-                gate: gateway,
-                options: options,
-                profile: parsedProfile,
-                isConnected: false
-            };
-            node.log('Create gateway for ' + mspid + identityName + ' from ' + node.id);
-            return list[mspid + identityName];
+    async function connect(identityName, channelName, contractName, node, acquire) {
+        const lease = acquire ? await node.connection.gateways.acquire(identityName) : { gateway: await node.connection.getGateway(identityName), release: () => {} };
+        const gateway = lease.gateway;
+        node.log('connected gateway');
+        try {
+            const network = await gateway.getNetwork(channelName);
+            node.log('got network');
+            const contract = await network.getContract(contractName);
+            node.log('got contract');
+            node.log('Using gateway with ' + gateway.getCurrentIdentity().getName());
+            return { contract: contract, network: network, release: lease.release };
+        } catch (error) {
+            node.connection.gateways.reportError(identityName, error);
+            lease.release();
+            throw error;
         }
+    }
 
-        /**
-         * Connects the gateway
-         * @param {object} gateway the gateway to connect
-         * @returns {PromiseLike<Contract | never>} promise
-         */
-        async function connect(gateway) {
-            if (!gateway.isConnected) {
-                await gateway.gate.connect(gateway.profile, gateway.options);
-                gateway.isConnected = true;
-                return gateway;
+    /**
+     * Encodes the values of the transient data to buffers. Strings are encoded as utf8, other values as JSON
+     * @param {object} transient the transient data
+     * @returns {object} the transient map
+     */
+    function encodeTransient(transient) {
+        let transientMap = {};
+        Object.keys(transient).forEach((key) => {
+            const value = transient[key];
+            if (Buffer.isBuffer(value)) {
+                transientMap[key] = value;
+            } else if (typeof value === 'string') {
+                transientMap[key] = Buffer.from(value, 'utf8');
             } else {
-                return gateway;
+                transientMap[key] = Buffer.from(JSON.stringify(value), 'utf8');
             }
-        }
-        return {
-            get: get,
-            create: create,
-            connect: connect,
-            mspid: getMspid,
-            profile: getProfile
-        };
-
-    })();
+        });
+        return transientMap;
+    }
 
+    /**
+     * Creates a transaction with its transient data and endorsing peers or organizations
+     * @param {Contract} contract contract
+     * @param {object} payload payload
+     * @returns {Transaction} the transaction
+     */
+    function createTransaction(contract, payload) {
+        const transaction = contract.createTransaction(payload.transactionName);
+        if (payload.transient) {
+            transaction.setTransient(encodeTransient(payload.transient));
+        }
+        if (payload.endorsingPeers) {
+            const channel = contract.getNetwork().getChannel();
+            transaction.setEndorsingPeers(payload.endorsingPeers.map((peerName) => channel.getChannelPeer(peerName)));
+        } else if (payload.endorsingOrgs) {
+            transaction.setEndorsingOrganizations(...payload.endorsingOrgs);
+        }
+        return transaction;
+    }
 
     /**
-     *
-     * @param {string} identityName identityName
-     * @param {string} channelName channel
-     * @param {string} contractName contract
-     * @param {Node} node node
-     * @returns {PromiseLike<Contract | never>} promise
+     * Wraps the commit event handler of a transaction to time when the endorsement ends and the commit starts
+     * @param {Contract} contract the contract, whose event handler options hold the commit strategy
+     * @param {Transaction} transaction the transaction
+     * @returns {object} the timings, with endorsed set once the transaction is endorsed
      */
-    async function connect(identityName, channelName, contractName, node) {
-        let parsedProfile = await gateways.profile(node);
-        let mspid = await gateways.mspid(node, parsedProfile);
-        let gateway = await gateways.get(identityName, mspid);
-        if (gateway === null) {
-            node.log('gateway is null');
-            gateway = await gateways.create(identityName, mspid, parsedProfile, node);
-        }
-        await gateways.connect(gateway);
-        node.log('connected gateway');
-        const network = await gateway.gate.getNetwork(channelName);
-        node.log('got network');
-        const contract = await network.getContract(contractName);
-        node.log('got contract');
-        node.log('Using gateway with ' + JSON.parse(gateway.gate.getCurrentIdentity()).name);
-        return { contract: contract, network: network };
+    function timeCommit(contract, transaction) {
+        let timings = {};
+        if (typeof transaction.setEventHandlerStrategy !== 'function') {
+            return timings;
+        }
+        const options = typeof contract.getEventHandlerOptions === 'function' ? contract.getEventHandlerOptions() : {};
+        const strategy = options && options.strategy;
+        transaction.setEventHandlerStrategy((tx, handlerOptions) => {
+            const handler = strategy ? strategy(tx, handlerOptions) : null;
+            return {
+                startListening: async () => {
+                    timings.endorsed = Date.now();
+                    if (handler) {
+                        await handler.startListening();
+                    }
+                },
+                waitForEvents: async () => {
+                    if (handler) {
+                        await handler.waitForEvents();
+                    }
+                },
+                cancelListening: () => {
+                    if (handler) {
+                        handler.cancelListening();
+                    }
+                }
+            };
+        });
+        return timings;
     }
 
     /**
      *
      * @param {Contract} contract contract
-     * @param {string} payload payload
+     * @param {object} payload payload
      * @param {Node} node node
-     * @returns {Promise<Buffer>} promise
+     * @returns {Promise<object>} promise resolving to the result buffer and the transaction id
      */
-    function submit(contract, payload, node) {
+    async function submit(contract, payload, node) {
         node.log(`submit ${payload.transactionName} ${payload.transactionArgs}`);
-        return contract.submitTransaction(payload.transactionName, ...payload.transactionArgs);
+        const transaction = createTransaction(contract, payload);
+        const transactionId = transaction.getTransactionID().getTransactionID();
+        const timings = timeCommit(contract, transaction);
+        const started = Date.now();
+        const result = await transaction.submit(...payload.transactionArgs);
+        if (timings.endorsed) {
+            node.connection.metrics.observe(node.id, 'endorse', timings.endorsed - started);
+            node.connection.metrics.observe(node.id, 'commit', Date.now() - timings.endorsed);
+        }
+        return { result: result, transactionId: transactionId };
     }
 
     /**
@@ -161,11 +166,16 @@ module.exports = function(RED) {
      * @param {Contract} contract contract
      * @param {object} payload payload
      * @param {Node} node node
-     * @returns {Promise<Buffer>} promise
+     * @returns {Promise<object>} promise resolving to the result buffer and the transaction id
      */
-    function evaluate(contract, payload, node) {
+    async function evaluate(contract, payload, node) {
         node.log(`evaluate ${payload.transactionName} ${payload.transactionArgs}`);
-        return contract.evaluateTransaction(payload.transactionName, ...payload.transactionArgs);
+        const transaction = createTransaction(contract, payload);
+        const transactionId = transaction.getTransactionID().getTransactionID();
+        const started = Date.now();
+        const result = await transaction.evaluate(...payload.transactionArgs);
+        node.connection.metrics.observe(node.id, 'evaluate', Date.now() - started);
+        return { result: result, transactionId: transactionId };
     }
 
     /**
@@ -177,56 +187,88 @@ module.exports = function(RED) {
             throw new Error('message should contain a transaction name of type string');
         }
 
-        if (payload.args && !Array.isArray(payload.args)) {
-            throw new Error('message args should be an array of strings');
+        if (payload.transactionArgs && !Array.isArray(payload.transactionArgs)) {
+            throw new Error('message transactionArgs should be an array');
+        }
+
+        if (payload.transient && (typeof payload.transient !== 'object' || Array.isArray(payload.transient))) {
+            throw new Error('message transient should be an object');
         }
+
+        const endorsers = { endorsingPeers: 'peer names', endorsingOrgs: 'MSP IDs' };
+        Object.keys(endorsers).forEach((name) => {
+            if (payload[name] && (!Array.isArray(payload[name]) || payload[name].some((value) => typeof value !== 'string'))) {
+                throw new Error('message ' + name + ' should be an array of ' + endorsers[name]);
+            }
+        });
     }
 
     /**
-     * A function that generates event listener on given event hub with given options
+     * A function that generates a chaincode event listener on given event hub with given options
      * @param {object} hub the event hub to which attach the event
      * @param {string} chaincodeName the name of the chaincode
      * @param {string} eventName the name of the event
-     * @param {object} node the node object
-     * @param {object} msg the msg object
-     * @param {boolean} isTimeout should the listener use a timeout
-     * @param {object} timeout the timeout object
+     * @param {string} payloadFormat buffer, utf8 or json, the format of the event payload
      * @param {object} options the listener options
-     * @param {Array} eventList the event list array (in case of timeout)
+     * @param {Function} onEvent called with the payload of each event
+     * @param {Function} onError called with the listener errors
      * @returns {object} event the event
      */
-    function chaincodeEventFactory(hub, chaincodeName, eventName, node, msg, isTimeout, timeout, options, eventList) {
-        let event = hub.registerChaincodeEvent(chaincodeName, eventName, (event, blockNumber, txid, status) => {
-            let eventPayload = {
-                payload: event.payload.toString('utf8'),
+    function chaincodeEventFactory(hub, chaincodeName, eventName, payloadFormat, options, onEvent, onError) {
+        return hub.registerChaincodeEvent(chaincodeName, eventName, (event, blockNumber, txid, status) => {
+            onEvent({
+                eventName: event.event_name,
+                payload: decoder.decodeResult(event.payload, payloadFormat),
                 blockNumber: blockNumber,
                 txid: txid,
                 status: status
-            };
-            if (isTimeout) {
-                eventList.push(eventPayload);
-                timeout.refresh();
-            } else {
-                msg.payload = eventPayload;
-                node.send(msg);
-            }
-            node.status({});
-        }, (error) => {
-            if (isTimeout) {
-                if (timeout.done && error.message === 'ChannelEventHub has been shutdown') {
-                    node.log('Expected chaincode listener shutdown');
-                } else {
-                    node.log(error);
-                    node.status({ fill: 'red', shape: 'dot', text: 'Error' });
-                    node.error(error, msg);
-                }
+            }, txid + '/' + event.event_name);
+        }, onError, options);
+    }
 
+    /**
+     * A function that generates a block event listener on given event hub with given options
+     * Full blocks are decoded, filtered blocks only carry the id, type and validation code of the transactions
+     * @param {object} hub the event hub to which attach the event
+     * @param {string} listenerType block or filtered
+     * @param {string} blockOutput block to emit one payload per block, transaction to emit one payload per transaction
+     * @param {object} options the listener options
+     * @param {Function} onEvent called with the payload of each block or transaction
+     * @param {Function} onError called with the listener errors
+     * @returns {object} event the event
+     */
+    function blockEventFactory(hub, listenerType, blockOutput, options, onEvent, onError) {
+        return hub.registerBlockEvent((block) => {
+            const decodedBlock = listenerType === 'filtered' ? decoder.decodeFilteredBlock(block) : decoder.decodeBlock(block);
+            if (blockOutput === 'transaction') {
+                decodedBlock.transactions.forEach((transaction) => {
+                    onEvent(Object.assign({ blockNumber: decodedBlock.number }, transaction), decodedBlock.number + '/' + transaction.txid);
+                });
             } else {
-                console.log(error);
-                node.error(error, msg);
+                onEvent(decodedBlock, 'block/' + decodedBlock.number);
             }
-        }, options);
-        return event;
+        }, onError, options);
+    }
+
+    /**
+     * Compiles the JSONata expression choosing the events a subscription sends
+     * @param {string} expression the expression, evaluated against each event with its metadata
+     * @param {Node} node the node
+     * @returns {Function} a function resolving to true for the events to send, or null when there is no expression
+     */
+    function eventFilter(expression, node) {
+        if (typeof expression !== 'string' || expression.trim() === '') {
+            return null;
+        }
+        let prepared;
+        try {
+            prepared = RED.util.prepareJSONataExpression(expression, node);
+        } catch (error) {
+            throw errors.invalidRequest('invalid event filter ' + expression + ': ' + error.message);
+        }
+        return (event) => new Promise((resolve, reject) => {
+            RED.util.evaluateJSONataExpression(prepared, event, (error, result) => error ? reject(error) : resolve(Boolean(result)));
+        });
     }
 
     /**
@@ -237,7 +279,7 @@ module.exports = function(RED) {
      * https://gerrit.hyperledger.org/r/c/fabric-sdk-node/+/28006
      * https://fabric-sdk-node.github.io/release-1.4/tutorial-channel-events.html
      * @param {object} channel the channel
-     * @param {string} peerName the name of the peer to connect to. Empty by default. If empty, will automatically get the first peer it finds in the channel and use it as the endpoint
+     * @param {string} peerName the name of the peer to connect to. Empty by default. If empty, creates one event hub for each event source peer of the org
      * @param {object} node the node object
      * @returns {Promise<Buffer>} promise
      */
@@ -245,7 +287,9 @@ module.exports = function(RED) {
         try {
             if (peerName === '' || peerName === undefined || peerName === null) {
                 node.log('Generating event hubs for each peer of the org');
-                const eventHubs = channel.getChannelEventHubsForOrg();
+                // the hubs of the org are cached by the channel, which is shared by the nodes using the same gateway,
+                // so only their peers are read and each node connects its own hubs to them
+                const eventHubs = channel.getChannelEventHubsForOrg().map((hub) => channel.newChannelEventHub(hub.getName()));
                 eventHubs.forEach(hub => {
                     addHubToHandler(node.id, hub);
                 });
@@ -291,6 +335,7 @@ module.exports = function(RED) {
                     if (eventHubsHandler[nodeId].includes(hub)) {
                         let index = eventHubsHandler[nodeId].indexOf(hub);
                         if (index > -1) {
+                            closedHubs.add(hub);
                             eventHubsHandler[nodeId][index].disconnect();
                             eventHubsHandler[nodeId].splice(index, 1);
                         }
@@ -298,6 +343,7 @@ module.exports = function(RED) {
                 });
             } else {
                 eventHubsHandler[nodeId].forEach(hub => {
+                    closedHubs.add(hub);
                     hub.disconnect();
                 });
             }
@@ -305,27 +351,41 @@ module.exports = function(RED) {
     }
 
     /**
-     * An event subscriber that subscribes to only one event and closes after a 2sec timeout if required
+     * An event subscriber that subscribes to chaincode events or blocks and closes after an idle timeout if required
      * It also can listen on an interval of blocks, useful in cases you do not want to keep listenning
      * Sends all the events in an array or one by one in the msg.payload depending on the configuration
      * @param {channel} channel The channel on which create the event hub
-     * @param {string} chaincodeName The name of the chaincode
-     * @param {string} peerName The name of the peer to connect to
-     * @param {number} startBlock The start block
-     * @param {number} endBlock The end block
-     * @param {boolean} timeout The timeout
-     * @param {string} eventName The event name
+     * @param {object} settings The listener settings
+     * @param {string} settings.chaincodeName The name of the chaincode
+     * @param {string} settings.peerName The name of the peer to connect to
+     * @param {number} settings.startBlock The start block
+     * @param {number} settings.endBlock The end block
+     * @param {boolean} settings.timeout The timeout
+     * @param {string} settings.eventName The event name
+     * @param {string} settings.listenerType chaincode (default), block or filtered
+     * @param {string} settings.blockOutput block (default) or transaction
+     * @param {string} settings.payloadFormat Optional buffer, utf8 (default) or json, the format of chaincode event payloads
+     * @param {string} settings.filter Optional a JSONata expression, only the events for which it is true are sent
+     * @param {object} settings.checkpointer Optional the checkpointer skipping and recording processed events
+     * @param {boolean} settings.deduplicate Optional send each event once when listening on several peers, and listen again on a peer which disconnects
+     * @param {number} settings.idleTimeout Optional the time in ms without events after which a batch is sent, 2000 by default
+     * @param {number} settings.maxDuration Optional the maximum time in ms a batch stays open
+     * @param {number} settings.maxEvents Optional the maximum number of events in a batch
+     * @param {string} settings.resultProperty Optional the msg property set with the events, payload by default
+     * @param {Function} settings.onStop Optional called once when the subscription stops
      * @param {Node} node node
      * @param {object} msg the msg object
-     * @returns {Promise<Buffer>} promise
+     * @returns {Promise<object>} promise resolving to the subscription
      */
-    async function subscribeToEvent(channel, chaincodeName, peerName, startBlock, endBlock, timeout, eventName, node, msg) {
+    async function subscribeToEvent(channel, settings, node, msg) {
         if (msg === null) { msg = {}; }
 
-        let eventHub = await eventHubFactory(channel, peerName, node);
-        startBlock = parseInt(startBlock);
-        endBlock = parseInt(endBlock);
-        eventName = eventName === '' ? '.*' : eventName;
+        const filter = eventFilter(settings.filter, node);
+        let eventHub = await eventHubFactory(channel, settings.peerName, node);
+        const listenerType = settings.listenerType || 'chaincode';
+        const startBlock = parseInt(settings.startBlock);
+        const endBlock = parseInt(settings.endBlock);
+        const eventName = settings.eventName === '' || settings.eventName === undefined ? '.*' : settings.eventName;
         let options = {};
         if (!isNaN(startBlock)) {
             options.startBlock = startBlock;
@@ -340,38 +400,236 @@ module.exports = function(RED) {
                 options.startBlock = 0;
             }
         }
-        let event = null;
         let eventList = [];
-        timeout = timeout === 'true' ? true : false;
+        // In batch mode, the events of the batch are checkpointed when the batch is sent
+        let pending = [];
+        const timeout = settings.timeout === 'true' || settings.timeout === true;
+        const idleTimeout = parseInt(settings.idleTimeout) || 2000;
+        const maxDuration = parseInt(settings.maxDuration);
+        const maxEvents = parseInt(settings.maxEvents);
+        const hubs = Array.isArray(eventHub) ? eventHub : [eventHub];
+        let idleTimer = null;
+        let durationTimer = null;
+        // the timers listening again on the hubs which disconnected
+        let failoverTimers = new Set();
+        let done = false;
+        const subscription = {
+            id: crypto.randomBytes(8).toString('hex'),
+            listenerType: listenerType,
+            chaincodeName: settings.chaincodeName,
+            eventName: eventName,
+            filter: filter ? settings.filter : null,
+            peers: hubs.map((hub) => hub.getName()),
+            batch: timeout,
+            startedAt: new Date().toISOString(),
+            events: 0
+        };
+        // Stops the listeners of the subscription without sending anything
+        const stop = () => {
+            if (done) {
+                return;
+            }
+            done = true;
+            clearTimeout(idleTimer);
+            clearTimeout(durationTimer);
+            failoverTimers.forEach((timer) => clearTimeout(timer));
+            disconnectEventHub(node.id, hubs);
+            if (settings.onStop) {
+                settings.onStop();
+            }
+            if (subscriptions.hasOwnProperty(node.id)) {
+                delete subscriptions[node.id][subscription.id];
+                if (Object.keys(subscriptions[node.id]).length === 0) {
+                    node.connection.metrics.gauge(node.id, 'state', 'stopped');
+                }
+            }
+            node.log('Unregistered event listener(s) of subscription ' + subscription.id);
+        };
+        // Closes the batch window and sends the events received
+        const flush = () => {
+            if (done) {
+                return;
+            }
+            stop();
+            RED.util.setMessageProperty(msg, settings.resultProperty || 'payload', eventList);
+            msg.subscriptionId = subscription.id;
+            node.send(msg);
+            if (settings.checkpointer) {
+                pending.forEach((event) => settings.checkpointer.processed(event.blockNumber, event.txid));
+            }
+        };
+        Object.defineProperty(subscription, 'stop', { value: stop });
+        if (!subscriptions.hasOwnProperty(node.id)) {
+            subscriptions[node.id] = {};
+        }
+        subscriptions[node.id][subscription.id] = subscription;
         if (timeout) {
-            // eslint-disable-next-line no-var
-            var eventTimeout = setTimeout(() => {
-                node.log('Expected timeout for chaincode event listener(s)');
-                if (event) {
-                    eventTimeout.done = true;
-                    disconnectEventHub(node.id, Array.isArray(eventHub) ? eventHub : [eventHub]);
-                    node.log('Unregistered chaincode event listener(s)');
-                    msg.payload = eventList;
-                    node.log(eventHubsHandler[node.id].length + ' event hubs from ' + node.id);
-                    node.send(msg);
+            idleTimer = setTimeout(() => {
+                node.log('Expected idle timeout for event listener(s)');
+                flush();
+            }, idleTimeout);
+            if (!isNaN(maxDuration) && maxDuration > 0) {
+                durationTimer = setTimeout(() => {
+                    node.log('Expected max duration for event listener(s)');
+                    flush();
+                }, maxDuration);
+            }
+        }
+
+        const checkpoint = (blockNumber, txid) => {
+            if (!settings.checkpointer) {
+                return;
+            }
+            if (timeout) {
+                pending.push({ blockNumber: blockNumber, txid: txid });
+            } else {
+                settings.checkpointer.processed(blockNumber, txid);
+            }
+        };
+        const isNew = settings.deduplicate ? failover.createDeduplicator() : () => true;
+        let lastBlockNumber = null;
+        // Filtered events are sent in the order they were received, even when the expression is asynchronous
+        let filtering = Promise.resolve();
+        const send = (eventPayload, blockNumber, txid) => {
+            if (done) {
+                return;
+            }
+            subscription.events++;
+            node.connection.metrics.count(node.id, 'events');
+            node.connection.metrics.success(node.id);
+            if (timeout) {
+                eventList.push(eventPayload);
+                if (!isNaN(maxEvents) && maxEvents > 0 && eventList.length >= maxEvents) {
+                    flush();
+                } else {
+                    idleTimer.refresh();
                 }
+            } else {
+                let eventMsg = RED.util.cloneMessage(msg);
+                RED.util.setMessageProperty(eventMsg, settings.resultProperty || 'payload', eventPayload);
+                eventMsg.subscriptionId = subscription.id;
+                node.send(eventMsg);
+            }
+            checkpoint(blockNumber, txid);
+        };
+        const onEvent = (hub, eventPayload, key) => {
+            const blockNumber = Number(eventPayload.blockNumber !== undefined ? eventPayload.blockNumber : eventPayload.number);
+            const txid = eventPayload.txid !== undefined ? eventPayload.txid : null;
+            lastBlockNumber = blockNumber;
+            node.connection.metrics.gauge(node.id, 'lastBlock', blockNumber);
+            if (!isNew(key)) {
+                return;
+            }
+            if (settings.checkpointer && settings.checkpointer.isProcessed(blockNumber, txid)) {
+                return;
+            }
+            if (done) {
+                return;
+            }
+            eventPayload.peer = hub.getName();
+            eventPayload.endpoint = hub.getPeerAddr();
+            if (!filter) {
+                send(eventPayload, blockNumber, txid);
+                return;
+            }
+            filtering = filtering.then(() => filter(eventPayload)).then((matches) => {
+                if (matches) {
+                    send(eventPayload, blockNumber, txid);
+                } else if (!done) {
+                    // skipped events are not sent again when the listener resumes from the checkpoint
+                    checkpoint(blockNumber, txid);
+                }
+            }).catch((error) => {
+                node.connection.metrics.error(node.id, { code: errors.INVALID_REQUEST, message: 'event filter failed: ' + error.message });
+                node.error('Event filter failed: ' + error.message, msg);
+            });
+        };
+        const failovers = failover.createFailover();
+        const onError = (hub, error) => {
+            if (!closedHubs.has(hub)) {
+                node.connection.metrics.event(node.id, 'hubDisconnected', { peer: hub.getName(), message: error.message });
+                node.connection.metrics.gauge(node.id, 'state', 'disconnected');
+                node.connection.metrics.gauge(node.id, 'peer', hub.getName());
+                showStatus(node);
+            }
+            const delay = settings.deduplicate && !closedHubs.has(hub) && !/end block/.test(error.message) ? failovers.failed(hub) : -1;
+            if (delay >= 0) {
+                node.warn('Event hub ' + hub.getName() + ' disconnected, listening again in ' + delay + 'ms: ' + error.message);
+                const timer = setTimeout(() => {
+                    failoverTimers.delete(timer);
+                    if (!closedHubs.has(hub)) {
+                        // the other hubs kept listening, so restart from the last block seen and drop the duplicates
+                        register(hub, lastBlockNumber === null ? options : Object.assign({}, options, { startBlock: lastBlockNumber }));
+                    }
+                }, delay);
+                failoverTimers.add(timer);
+                return;
+            }
+            if (done || closedHubs.has(hub)) {
+                // the listeners were stopped by a flush, an unsubscribe or the node closing
+                node.log('Expected listener shutdown');
+                return;
+            }
+            node.log(error);
+            node.connection.metrics.error(node.id, errors.classify(error));
+            showStatus(node);
+            node.error(error, msg);
+        };
+        const register = (hub, hubOptions) => {
+            if (listenerType === 'chaincode') {
+                chaincodeEventFactory(hub, settings.chaincodeName, eventName, settings.payloadFormat || 'utf8', hubOptions,
+                    (eventPayload, key) => onEvent(hub, eventPayload, key), (error) => onError(hub, error));
+            } else {
+                blockEventFactory(hub, listenerType, settings.blockOutput, hubOptions,
+                    (eventPayload, key) => onEvent(hub, eventPayload, key), (error) => onError(hub, error));
+            }
+            // Filtered blocks are only delivered on hubs connected without full blocks
+            hub.connect(listenerType !== 'filtered', (error) => {
+                // a failed connection is reported to the listener too
+                if (error || closedHubs.has(hub)) {
+                    return;
+                }
+                failovers.connected(hub);
+                node.connection.metrics.event(node.id, 'hubConnected', { peer: hub.getName() });
+                node.connection.metrics.gauge(node.id, 'state', 'connected');
+                showStatus(node);
+                node.log('Connected event listener on ' + hub.getName());
+            });
+            node.log('Registered event listener on ' + hub.getName());
+        };
+
+        node.log('Event listener options: ' + JSON.stringify(options) + ' ' + listenerType + ' ' + eventName + ' ' + settings.chaincodeName);
+        hubs.forEach(hub => register(hub, options));
+        return subscription;
+    }
 
-            }, 2000);
-            eventTimeout.done = false;
+    /**
+     * Stops the event subscriptions of a node
+     * @param {string} nodeId the id of the node
+     * @param {string} subscriptionId Optional the id of the subscription to stop, all the subscriptions if not set
+     * @returns {Array} the subscriptions stopped
+     */
+    function unsubscribe(nodeId, subscriptionId) {
+        if (!subscriptions.hasOwnProperty(nodeId)) {
+            return [];
         }
+        const stopped = Object.keys(subscriptions[nodeId])
+            .filter((id) => subscriptionId === undefined || id === subscriptionId)
+            .map((id) => subscriptions[nodeId][id]);
+        stopped.forEach((subscription) => subscription.stop());
+        return stopped;
+    }
 
-        node.log('Event listener options: ' + JSON.stringify(options) + ' ' + eventName + ' ' + chaincodeName);
-        if (Array.isArray(eventHub)) {
-            eventHub.forEach(hub => {
-                event = chaincodeEventFactory(hub, chaincodeName, eventName, node, msg, timeout, eventTimeout, options, eventList);
-                hub.connect(true);
-                node.log('Registered event listener');
-            });
-        } else {
-            event = chaincodeEventFactory(eventHub, chaincodeName, eventName, node, msg, timeout, eventTimeout, options, eventList);
-            eventHub.connect(true);
-            node.log('Registered event listener');
+    /**
+     * Lists the event subscriptions of a node
+     * @param {string} nodeId the id of the node
+     * @returns {Array} the subscriptions
+     */
+    function listSubscriptions(nodeId) {
+        if (!subscriptions.hasOwnProperty(nodeId)) {
+            return [];
         }
+        return Object.keys(subscriptions[nodeId]).map((id) => Object.assign({}, subscriptions[nodeId][id]));
     }
 
 
@@ -397,6 +655,241 @@ module.exports = function(RED) {
         return await channel.queryTransaction(transactionId);
     }
 
+    /**
+     * Evaluates a TypedInput property of the node configuration against a message
+     * @param {Node} node the node
+     * @param {string} value the value of the property
+     * @param {string} type the type of the property: str, msg, flow, global, env, json, jsonata or action
+     * @param {object} msg the msg object
+     * @returns {Promise<any>} promise
+     */
+    function evaluateProperty(node, value, type, msg) {
+        return new Promise((resolve, reject) => {
+            if (type === 'action' || type === 'str') {
+                resolve(value);
+            } else if (value === '' || value === undefined) {
+                resolve(undefined);
+            } else {
+                RED.util.evaluateNodeProperty(value, type, node, msg, (error, result) => error ? reject(error) : resolve(result));
+            }
+        });
+    }
+
+    /**
+     * Resolves the identity, channel, contract, action and transaction of a message from the node configuration
+     * Nodes configured before these properties were TypedInputs read the transaction from msg.payload
+     * msg.identity overrides the identity when the connection allows it
+     * @param {Node} node the node
+     * @param {object} config the configuration of the node
+     * @param {object} msg the msg object
+     * @returns {Promise<object>} promise
+     */
+    async function resolveInputs(node, config, msg) {
+        const property = (name, defaultValue, defaultType) => {
+            const value = config[name] !== undefined ? config[name] : defaultValue;
+            return evaluateProperty(node, value, config[name + 'Type'] || defaultType, msg);
+        };
+        const inputs = {
+            identityName: await property('identityName', '', 'str'),
+            channelName: await property('channelName', '', 'str'),
+            contractName: await property('contractName', '', 'str'),
+            actionType: await property('actionType', 'submit', 'action'),
+            transactionName: await property('transactionName', 'payload.transactionName', 'msg'),
+            transactionArgs: await property('transactionArgs', 'payload.transactionArgs', 'msg')
+        };
+        if (typeof msg.identity === 'string' && msg.identity !== '') {
+            inputs.identityName = msg.identity;
+        }
+        if (!inputs.identityName) {
+            inputs.identityName = node.connection.identityName;
+        }
+        // only the identity typed in the node is trusted, an identity read from the message, the context,
+        // the environment or an expression should be allowed by the connection
+        const configuredIdentity = (config.identityNameType || 'str') === 'str' ? config.identityName : undefined;
+        if (inputs.identityName !== configuredIdentity && !node.connection.isIdentityAllowed(inputs.identityName)) {
+            throw errors.invalidRequest('identity ' + inputs.identityName + ' is not allowed by the connection');
+        }
+        return inputs;
+    }
+
+    /**
+     * Builds the transaction request from the resolved inputs. Transient data and endorsers are read from msg.payload
+     * Arguments which are not strings are passed as JSON
+     * @param {object} inputs the resolved inputs
+     * @param {object} msg the msg object
+     * @returns {object} the request
+     */
+    function buildRequest(inputs, msg) {
+        const payload = msg.payload !== null && typeof msg.payload === 'object' ? msg.payload : {};
+        let transactionArgs = inputs.transactionArgs === undefined || inputs.transactionArgs === null ? [] : inputs.transactionArgs;
+        if (Array.isArray(transactionArgs)) {
+            transactionArgs = transactionArgs.map((arg) => typeof arg === 'string' ? arg : JSON.stringify(arg));
+        }
+        return {
+            transactionName: inputs.transactionName,
+            transactionArgs: transactionArgs,
+            transient: payload.transient,
+            endorsingPeers: payload.endorsingPeers,
+            endorsingOrgs: payload.endorsingOrgs
+        };
+    }
+
+    /**
+     * Validates the name and the arguments of a request against the metadata of the contract, before a proposal is sent.
+     * Contracts which have no metadata are not validated
+     * @param {Node} node the node
+     * @param {object} inputs the resolved inputs
+     * @param {object} request the request
+     * @returns {Promise} promise rejected with an INVALID_REQUEST error when the request does not match the metadata
+     */
+    async function validateRequest(node, inputs, request) {
+        const contractMetadata = await node.connection.getMetadata(inputs.channelName, inputs.contractName, inputs.identityName);
+        if (!contractMetadata) {
+            return;
+        }
+        const reason = metadata.validateArguments(contractMetadata, request.transactionName, request.transactionArgs);
+        if (reason) {
+            throw errors.invalidRequest(reason);
+        }
+    }
+
+    /**
+     * Submits or evaluates the transaction of a message through the work queue of the node
+     * In batch mode msg.payload is an array of transactions, each one queued on its own
+     * @param {Node} node the node
+     * @param {object} queue the work queue of the node
+     * @param {object} policy the retry policy of the node
+     * @param {object} inputs the resolved inputs
+     * @param {object} msg the msg object
+     * @param {boolean} batchMode true if msg.payload is an array of transactions
+     * @param {boolean} validateArgs true to validate the requests against the metadata of the contract
+     * @returns {Promise<object|Array>} promise resolving to the response, or to an array of responses and classified errors in batch mode
+     */
+    async function runTransactions(node, queue, policy, inputs, msg, batchMode, validateArgs) {
+        const run = inputs.actionType === 'submit' ? submit : evaluate;
+        // connect on each attempt, so that a retry after a connection failure uses a new gateway
+        const attempt = (request) => queue.push(() => retry.withRetry(node, policy, async () => {
+            const networkInfo = await connect(inputs.identityName, inputs.channelName, inputs.contractName, node, true);
+            try {
+                const response = await run(networkInfo.contract, request, node);
+                node.connection.metrics.count(node.id, 'transactions');
+                node.connection.metrics.success(node.id);
+                return response;
+            } catch (error) {
+                node.connection.gateways.reportError(inputs.identityName, error);
+                throw error;
+            } finally {
+                networkInfo.release();
+            }
+        }));
+        if (!batchMode) {
+            const request = buildRequest(inputs, msg);
+            node.log('checking request ' + util.inspect(request, false, null));
+            checkPayload(request);
+            if (validateArgs) {
+                await validateRequest(node, inputs, request);
+            }
+            return attempt(request);
+        }
+        if (!Array.isArray(msg.payload)) {
+            throw new Error('message payload should be an array of transactions in batch mode');
+        }
+        return Promise.all(msg.payload.map(async (item) => {
+            try {
+                const request = buildRequest({ transactionName: item.transactionName, transactionArgs: item.transactionArgs }, { payload: item });
+                checkPayload(request);
+                if (validateArgs) {
+                    await validateRequest(node, inputs, request);
+                }
+                return await attempt(request);
+            } catch (error) {
+                const classified = error.classified || errors.classify(error);
+                node.connection.metrics.error(node.id, classified);
+                return { error: classified };
+            }
+        }));
+    }
+
+    /**
+     * Shows the live status of a node from its metrics: the state of its event listeners, the last block seen,
+     * the events and transactions per minute, or the last error when the last operation failed
+     * @param {Node} node the node
+     */
+    function showStatus(node) {
+        const stats = node.connection && node.connection.metrics ? node.connection.metrics.get(node.id) : null;
+        if (!stats) {
+            return;
+        }
+        let parts = [];
+        if (stats.gauges.state) {
+            parts.push(stats.gauges.state === 'disconnected' ? 'disconnected from ' + stats.gauges.peer : stats.gauges.state);
+        }
+        if (stats.gauges.lastBlock !== undefined) {
+            parts.push('block ' + stats.gauges.lastBlock);
+        }
+        if (stats.counters.events !== undefined) {
+            parts.push((stats.perMinute.events || 0) + ' events/min');
+        }
+        if (stats.counters.transactions !== undefined) {
+            parts.push((stats.perMinute.transactions || 0) + ' tx/min');
+        }
+        if (stats.failing) {
+            const text = stats.lastError.code + ': ' + stats.lastError.message;
+            node.status({ fill: 'red', shape: 'dot', text: text.length > 60 ? text.substring(0, 57) + '...' : text });
+        } else if (stats.gauges.state === 'disconnected') {
+            node.status({ fill: 'yellow', shape: 'ring', text: parts.join(', ') });
+        } else if (stats.gauges.state === 'stopped') {
+            node.status({ fill: 'grey', shape: 'ring', text: parts.join(', ') });
+        } else {
+            node.status({ fill: 'green', shape: 'dot', text: parts.join(', ') });
+        }
+    }
+
+    /**
+     * Refreshes the status of a node periodically, once it has recorded metrics
+     * @param {Node} node the node
+     * @param {Function} refresh shows the status of the node
+     */
+    function refreshStatus(node, refresh) {
+        const timer = setInterval(() => {
+            if (node.connection && node.connection.metrics && node.connection.metrics.get(node.id)) {
+                refresh();
+            }
+        }, STATUS_INTERVAL);
+        timer.unref();
+        node.on('close', () => clearInterval(timer));
+    }
+
+    /**
+     * Reports an error of a node. If the node has an error output, the message is sent to it with the classified
+     * error in msg.error, else the error is raised to the catch nodes
+     * @param {Node} node the node
+     * @param {object} config the configuration of the node
+     * @param {number} errorOutput the index of the error output
+     * @param {object} msg the msg object
+     * @param {Error|object} error the error, or an already classified error
+     */
+    function reportError(node, config, errorOutput, msg, error) {
+        const classified = error instanceof Error ? error.classified || errors.classify(error) : error;
+        if (node.connection && node.connection.metrics) {
+            // errors already classified were recorded with the batch they belong to
+            if (error instanceof Error) {
+                node.connection.metrics.error(node.id, classified);
+            }
+            showStatus(node);
+        } else {
+            node.status({ fill: 'red', shape: 'dot', text: 'Error' });
+        }
+        if (config.errorOutput) {
+            let outputs = new Array(errorOutput + 1).fill(null);
+            msg.error = classified;
+            outputs[errorOutput] = msg;
+            node.send(outputs);
+        } else {
+            node.error('Error: ' + classified.message, msg);
+        }
+    }
+
     /**
      * Create a output node
      * @param {object} config The configuration from the node
@@ -405,30 +898,38 @@ module.exports = function(RED) {
     function FabricOutNode(config) {
         let node = this;
         RED.nodes.createNode(node, config);
+        const queue = workQueue.createWorkQueue(node, config, () => showStatus(node));
+        const policy = retry.retryPolicy(config);
+        const connection = RED.nodes.getNode(config.connection);
+        if (connection) {
+            connection.showConfigError(node);
+        }
+        refreshStatus(node, queue.status);
 
         node.on('input', async function(msg) {
             this.connection = RED.nodes.getNode(config.connection);
             try {
-                const identityName = node.connection.identityName;
-                node.log('using connection: ' + identityName);
-                node.log('checking payload ' + util.inspect(msg.payload, false, null));
-                checkPayload(msg.payload);
-                const connectData = await connect(identityName, config.channelName, config.contractName, node);
-                if (config.actionType === 'submit') {
-                    await submit(connectData.contract, msg.payload, node);
-                } else {
-                    await evaluate(connectData.contract, msg.payload, node);
+                const inputs = await resolveInputs(node, config, msg);
+                node.log('using connection: ' + inputs.identityName);
+                const response = await runTransactions(node, queue, policy, inputs, msg, config.batchMode, config.validateArgs === true);
+                if (Array.isArray(response)) {
+                    response.forEach((item, index) => {
+                        if (item.error) {
+                            let errorMsg = RED.util.cloneMessage(msg);
+                            errorMsg.index = index;
+                            reportError(node, config, 0, errorMsg, item.error);
+                        }
+                    });
                 }
-                node.status({});
 
             } catch (error) {
-                node.status({ fill: 'red', shape: 'dot', text: 'Error' });
-                node.error('Error: ' + error.message, msg);
+                reportError(node, config, 0, msg, error);
             }
         });
 
         node.on('close', () => {
             node.log('closing node');
+            queue.clear();
             node.status({});
         });
     }
@@ -443,55 +944,123 @@ module.exports = function(RED) {
     function FabricMidNode(config) {
         let node = this;
         RED.nodes.createNode(node, config);
+        const queue = workQueue.createWorkQueue(node, config, () => showStatus(node));
+        const policy = retry.retryPolicy(config);
+        const connection = RED.nodes.getNode(config.connection);
+        if (connection) {
+            connection.showConfigError(node);
+        }
+        refreshStatus(node, queue.status);
 
         node.on('input', async function(msg) {
             this.connection = RED.nodes.getNode(config.connection);
+            let identityName = null;
             try {
-                const identityName = node.connection.identityName;
-                const channelName = typeof msg.payload.channelName === 'string' ? msg.payload.channelName : config.channelName;
-                const contractName = typeof msg.payload.contractName === 'string' ? msg.payload.contractName : config.contractName;
-                const actionType = typeof msg.payload.actionType === 'string' ? msg.payload.actionType : config.actionType;
+                const inputs = await resolveInputs(node, config, msg);
+                // Static values can still be overridden from msg.payload, as before they were TypedInputs
+                const override = (name) => {
+                    const isStatic = !config[name + 'Type'] || config[name + 'Type'] === 'str' || config[name + 'Type'] === 'action';
+                    return isStatic && msg.payload && typeof msg.payload[name] === 'string' ? msg.payload[name] : inputs[name];
+                };
+                identityName = inputs.identityName;
+                const channelName = override('channelName');
+                const contractName = override('contractName');
+                const actionType = override('actionType');
+                const resultProperty = config.resultProperty || 'payload';
                 node.log('CONFIG => ' + channelName + ' ' + contractName + ' ' + actionType);
                 node.log('using connection: ' + identityName);
-                if (actionType === 'submit') {
-                    const networkInfo = await connect(identityName, channelName, contractName, node);
-                    const result = await submit(networkInfo.contract, msg.payload, node);
-                    msg.payload = result;
-                    node.status({});
-                    node.send(msg);
-                } else if (actionType === 'evaluate') {
-                    const networkInfo = await connect(identityName, channelName, contractName, node);
-                    const result = await evaluate(networkInfo.contract, msg.payload, node);
-                    msg.payload = result;
-                    node.status({});
+                if (actionType === 'submit' || actionType === 'evaluate') {
+                    const transactionInputs = Object.assign({}, inputs, { channelName: channelName, contractName: contractName, actionType: actionType });
+                    const response = await runTransactions(node, queue, policy, transactionInputs, msg, config.batchMode, config.validateArgs === true);
+                    if (Array.isArray(response)) {
+                        RED.util.setMessageProperty(msg, resultProperty, response.map((item) => {
+                            return item.error ? item : { transactionId: item.transactionId, result: decoder.decodeResult(item.result, config.output) };
+                        }));
+                    } else {
+                        RED.util.setMessageProperty(msg, resultProperty, decoder.decodeResult(response.result, config.output));
+                        msg.transactionId = response.transactionId;
+                    }
                     node.send(msg);
                 } else if (actionType === 'event') {
-                    const networkInfo = await connect(identityName, channelName, contractName, node);
-                    const channel = networkInfo.network.getChannel();
-                    await subscribeToEvent(channel, contractName, msg.payload.peerName, msg.payload.startBlock,
-                        msg.payload.endBlock, msg.payload.timeout, msg.payload.eventName, node, msg);
+                    const command = msg.payload.command || 'subscribe';
+                    if (command === 'subscribe') {
+                        const networkInfo = await connect(identityName, channelName, contractName, node, true);
+                        const channel = networkInfo.network.getChannel();
+                        const release = networkInfo.release;
+                        const subscription = await subscribeToEvent(channel, {
+                            chaincodeName: contractName,
+                            peerName: msg.payload.peerName,
+                            startBlock: msg.payload.startBlock,
+                            endBlock: msg.payload.endBlock,
+                            timeout: msg.payload.timeout,
+                            eventName: msg.payload.eventName,
+                            listenerType: msg.payload.listenerType,
+                            blockOutput: msg.payload.blockOutput,
+                            payloadFormat: msg.payload.payloadFormat || config.eventPayloadFormat,
+                            filter: msg.payload.filter !== undefined ? msg.payload.filter : config.eventFilter,
+                            deduplicate: msg.payload.deduplicate === true || msg.payload.deduplicate === 'true',
+                            idleTimeout: msg.payload.idleTimeout || config.idleTimeout,
+                            maxDuration: msg.payload.maxDuration || config.maxDuration,
+                            maxEvents: msg.payload.maxEvents || config.maxEvents,
+                            resultProperty: resultProperty,
+                            onStop: release
+                        }, node, RED.util.cloneMessage(msg)).catch((error) => {
+                            release();
+                            throw error;
+                        });
+                        if (msg.payload.command === 'subscribe') {
+                            RED.util.setMessageProperty(msg, resultProperty, Object.assign({}, subscription));
+                            msg.subscriptionId = subscription.id;
+                            node.send(msg);
+                        }
+                    } else if (command === 'unsubscribe') {
+                        if (typeof msg.payload.subscriptionId !== 'string') {
+                            throw new Error('message should contain a subscriptionId of type string');
+                        }
+                        const stopped = unsubscribe(node.id, msg.payload.subscriptionId);
+                        if (stopped.length === 0) {
+                            throw new Error('unknown subscription ' + msg.payload.subscriptionId);
+                        }
+                        RED.util.setMessageProperty(msg, resultProperty, Object.assign({}, stopped[0]));
+                        node.send(msg);
+                    } else if (command === 'unsubscribeAll') {
+                        RED.util.setMessageProperty(msg, resultProperty, unsubscribe(node.id).map((subscription) => Object.assign({}, subscription)));
+                        node.send(msg);
+                    } else if (command === 'list') {
+                        RED.util.setMessageProperty(msg, resultProperty, listSubscriptions(node.id));
+                        node.send(msg);
+                    } else {
+                        throw new Error('unknown command ' + command);
+                    }
+                    showStatus(node);
                 } else if (actionType === 'block') {
                     const networkInfo = await connect(identityName, channelName, contractName, node);
                     const channel = networkInfo.network.getChannel();
                     const result = await queryBlock(channel, msg.payload.blockNumber);
-                    msg.payload = result;
+                    RED.util.setMessageProperty(msg, resultProperty, config.ledgerOutput === 'decoded' ? decoder.decodeBlock(result) : result);
                     node.send(msg);
-                    node.status({});
+                    showStatus(node);
                 } else if (actionType === 'transaction') {
                     const networkInfo = await connect(identityName, channelName, contractName, node);
                     const channel = networkInfo.network.getChannel();
                     const result = await queryTransaction(channel, msg.payload.transactionId);
-                    msg.payload = result;
+                    RED.util.setMessageProperty(msg, resultProperty, config.ledgerOutput === 'decoded' ? decoder.decodeTransaction(result) : result);
                     node.send(msg);
-                    node.status({});
+                    showStatus(node);
                 }
             } catch (error) {
-                node.status({ fill: 'red', shape: 'dot', text: 'Error' });
-                node.error('Error: ' + error.message, msg);
+                if (node.connection && identityName) {
+                    // drop the gateway of the identity the message used, when a ledger query lost its connection
+                    node.connection.gateways.reportError(identityName, error);
+                }
+                reportError(node, config, 1, msg, error);
             }
         });
         node.on('close', () => {
             node.log('Node is closing');
+            queue.clear();
+            unsubscribe(node.id);
+            delete subscriptions[node.id];
             if (eventHubsHandler.hasOwnProperty(node.id)) {
                 node.log('Disconnecting event hubs generated by node ' + node.id);
                 disconnectEventHub(node.id);
@@ -513,18 +1082,96 @@ module.exports = function(RED) {
         RED.nodes.createNode(node, config);
         this.connection = RED.nodes.getNode(config.connection);
         const identityName = node.connection.identityName;
+        const checkpointer = config.checkpoint ? checkpointLib.createCheckpointer(node, config.checkpointStore) : null;
         node.log('using connection: ' + identityName);
-        connect(identityName, config.channelName, config.contractName, node)
-            .then((networkInfo) => {
-                return subscribeToEvent(networkInfo.network.getChannel(), config.contractName, config.peerName,
-                    config.startBlock, config.endBlock, config.timeout, config.eventName, node, null);
-            })
-            .catch((error) => {
-                node.status({ fill: 'red', shape: 'dot', text: 'Error' });
+
+        /**
+         * Connects and subscribes, resuming from the checkpoint if there is one
+         * @returns {Promise} promise
+         */
+        async function start() {
+            const networkInfo = await connect(identityName, config.channelName, config.contractName, node, true);
+            const release = networkInfo.release;
+            let startBlock = config.startBlock;
+            try {
+                if (checkpointer) {
+                    await checkpointer.load();
+                    if (checkpointer.startBlock() !== undefined) {
+                        startBlock = checkpointer.startBlock();
+                        node.log('resuming from checkpoint at block ' + startBlock);
+                    }
+                }
+            } catch (error) {
+                release();
+                throw error;
+            }
+            return subscribeToEvent(networkInfo.network.getChannel(), {
+                chaincodeName: config.contractName,
+                peerName: config.peerName,
+                startBlock: startBlock,
+                endBlock: config.endBlock,
+                timeout: config.timeout,
+                eventName: config.eventName,
+                listenerType: config.listenerType,
+                blockOutput: config.blockOutput,
+                payloadFormat: config.eventPayloadFormat,
+                filter: config.eventFilter,
+                checkpointer: checkpointer,
+                deduplicate: config.deduplicate,
+                onStop: release
+            }, node, null).catch((error) => {
+                release();
+                throw error;
+            });
+        }
+
+        /**
+         * Disconnects the event hubs of the node
+         */
+        function stop() {
+            unsubscribe(node.id);
+            disconnectEventHub(node.id);
+            delete eventHubsHandler[node.id];
+        }
+
+        if (node.connection.showConfigError(node)) {
+            start().catch((error) => {
+                node.connection.metrics.error(node.id, errors.classify(error));
+                showStatus(node);
                 node.error('Error: ' + error.message);
             });
+        }
+        refreshStatus(node, () => showStatus(node));
+
+        node.on('input', async function(msg) {
+            try {
+                const action = msg.payload && msg.payload.checkpoint;
+                if (!checkpointer) {
+                    throw new Error('checkpoint is not enabled on this node');
+                }
+                if (action === 'reset') {
+                    await checkpointer.reset();
+                } else if (action === 'seek') {
+                    const blockNumber = parseInt(msg.payload.blockNumber);
+                    if (isNaN(blockNumber) || blockNumber < 0) {
+                        throw new Error('message blockNumber should be a positive number');
+                    }
+                    await checkpointer.seek(blockNumber);
+                } else {
+                    throw new Error('message checkpoint should be reset or seek');
+                }
+                node.log('checkpoint ' + action + ', restarting listener');
+                stop();
+                await start();
+                showStatus(node);
+            } catch (error) {
+                node.status({ fill: 'red', shape: 'dot', text: 'Error' });
+                node.error('Error: ' + error.message, msg);
+            }
+        });
+
         node.on('close', () => {
-            disconnectEventHub(node.id);
+            stop();
         });
     }
     RED.nodes.registerType('fabric-in', FabricInNode);
@@ -0,0 +1,125 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Creates the checkpointer of a node. The checkpoint is stored in the node context, so that a persistent
+ * context store keeps it across restarts. It holds the last block number seen and the ids of the transactions
+ * already processed in that block.
+ * @param {Node} node the node
+ * @param {string} store the name of the context store, the default store if empty
+ * @returns {object} the checkpointer
+ */
+function createCheckpointer(node, store) {
+    const context = node.context();
+    let checkpoint = null;
+
+    /**
+     * Calls a context function with or without the store name
+     * @param {string} method get or set
+     * @param {Array} args the arguments before the store name
+     * @returns {Promise<object>} promise
+     */
+    function call(method, args) {
+        return new Promise((resolve, reject) => {
+            const callback = (error, value) => error ? reject(error) : resolve(value);
+            if (store) {
+                context[method](...args, store, callback);
+            } else {
+                context[method](...args, callback);
+            }
+        });
+    }
+
+    /**
+     * Saves the checkpoint
+     * @param {object} value the new checkpoint, undefined to remove it
+     * @returns {Promise} promise
+     */
+    function save(value) {
+        checkpoint = value || null;
+        return call('set', ['checkpoint', value]).catch((error) => {
+            node.error('Error: could not save checkpoint ' + error.message);
+        });
+    }
+
+    return {
+        /**
+         * Loads the checkpoint from the context store
+         * @returns {Promise<object>} promise
+         */
+        load: async function() {
+            checkpoint = await call('get', ['checkpoint']) || null;
+            return checkpoint;
+        },
+        /**
+         * Returns the block to resume from, undefined if there is no checkpoint
+         * @returns {number} the block number
+         */
+        startBlock: function() {
+            if (!checkpoint) {
+                return undefined;
+            }
+            return checkpoint.complete ? checkpoint.blockNumber + 1 : checkpoint.blockNumber;
+        },
+        /**
+         * Tells if a block or a transaction has already been processed
+         * @param {number} blockNumber the block number
+         * @param {string} txid the transaction id, null for a whole block
+         * @returns {boolean} true if it should be skipped
+         */
+        isProcessed: function(blockNumber, txid) {
+            if (!checkpoint || blockNumber > checkpoint.blockNumber) {
+                return false;
+            }
+            if (blockNumber < checkpoint.blockNumber) {
+                return true;
+            }
+            return checkpoint.complete || (txid !== null && checkpoint.txids.includes(txid));
+        },
+        /**
+         * Records a processed block or transaction
+         * @param {number} blockNumber the block number
+         * @param {string} txid the transaction id, null for a whole block
+         * @returns {Promise} promise
+         */
+        processed: function(blockNumber, txid) {
+            if (txid === null) {
+                return save({ blockNumber: blockNumber, txids: [], complete: true });
+            }
+            const txids = checkpoint && checkpoint.blockNumber === blockNumber ? checkpoint.txids.concat(txid) : [txid];
+            return save({ blockNumber: blockNumber, txid: txid, txids: txids, complete: false });
+        },
+        /**
+         * Removes the checkpoint
+         * @returns {Promise} promise
+         */
+        reset: function() {
+            return save(undefined);
+        },
+        /**
+         * Moves the checkpoint to the start of a block
+         * @param {number} blockNumber the block number
+         * @returns {Promise} promise
+         */
+        seek: function(blockNumber) {
+            return save({ blockNumber: blockNumber, txids: [], complete: false });
+        }
+    };
+}
+
+module.exports = {
+    createCheckpointer: createCheckpointer
+};
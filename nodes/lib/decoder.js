@@ -0,0 +1,230 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// TxValidationCode from fabric protos/peer/transaction.proto
+const VALIDATION_CODES = {
+    0: 'VALID',
+    1: 'NIL_ENVELOPE',
+    2: 'BAD_PAYLOAD',
+    3: 'BAD_COMMON_HEADER',
+    4: 'BAD_CREATOR_SIGNATURE',
+    5: 'INVALID_ENDORSER_TRANSACTION',
+    6: 'INVALID_CONFIG_TRANSACTION',
+    7: 'UNSUPPORTED_TX_PAYLOAD',
+    8: 'BAD_PROPOSAL_TXID',
+    9: 'DUPLICATE_TXID',
+    10: 'ENDORSEMENT_POLICY_FAILURE',
+    11: 'MVCC_READ_CONFLICT',
+    12: 'PHANTOM_READ_CONFLICT',
+    13: 'UNKNOWN_TX_TYPE',
+    14: 'TARGET_CHAIN_NOT_FOUND',
+    15: 'MARSHAL_TX_ERROR',
+    16: 'NIL_TXACTION',
+    17: 'EXPIRED_CHAINCODE',
+    18: 'CHAINCODE_VERSION_CONFLICT',
+    19: 'BAD_HEADER_EXTENSION',
+    20: 'BAD_CHANNEL_HEADER',
+    21: 'BAD_RESPONSE_PAYLOAD',
+    22: 'BAD_RWSET',
+    23: 'ILLEGAL_WRITESET',
+    24: 'INVALID_WRITESET',
+    254: 'NOT_VALIDATED',
+    255: 'INVALID_OTHER_REASON'
+};
+
+// Index of the transactions filter in the block metadata
+const TRANSACTIONS_FILTER = 2;
+
+/**
+ * Converts a validation code to its name
+ * @param {number|string} code the validation code
+ * @returns {string} the name of the validation code
+ */
+function validationCode(code) {
+    if (typeof code === 'string') {
+        return code;
+    }
+    return VALIDATION_CODES.hasOwnProperty(code) ? VALIDATION_CODES[code] : 'UNKNOWN';
+}
+
+/**
+ * Decodes the result of a transaction
+ * @param {Buffer} result the result returned by the transaction
+ * @param {string} format buffer, utf8 or json. json falls back to utf8 when the result is not valid JSON
+ * @returns {Buffer|string|object} the decoded result
+ */
+function decodeResult(result, format) {
+    if (!result || !Buffer.isBuffer(result) || format === 'buffer' || !format) {
+        return result;
+    }
+    const text = result.toString('utf8');
+    if (format === 'json') {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+    }
+    return text;
+}
+
+/**
+ * Decodes the read/write sets of a transaction action
+ * @param {object} results the results of the chaincode action decoded by the SDK
+ * @returns {Array} the read/write sets, one per namespace
+ */
+function decodeReadWriteSets(results) {
+    if (!results || !Array.isArray(results.ns_rwset)) {
+        return [];
+    }
+    return results.ns_rwset.filter((nsRwset) => nsRwset.rwset).map((nsRwset) => {
+        return {
+            namespace: nsRwset.namespace,
+            reads: nsRwset.rwset.reads.map((read) => {
+                return {
+                    key: read.key,
+                    version: read.version ? { blockNumber: Number(read.version.block_num), txNumber: Number(read.version.tx_num) } : null
+                };
+            }),
+            writes: nsRwset.rwset.writes.map((write) => {
+                return {
+                    key: write.key,
+                    isDelete: write.is_delete,
+                    value: write.value
+                };
+            })
+        };
+    });
+}
+
+/**
+ * Decodes a transaction envelope into a JSON friendly object
+ * @param {object} envelope the envelope decoded by the SDK
+ * @param {number|string} code the validation code of the transaction
+ * @returns {object} the transaction
+ */
+function decodeEnvelope(envelope, code) {
+    const header = envelope.payload.header;
+    let transaction = {
+        txid: header.channel_header.tx_id,
+        type: header.channel_header.typeString,
+        channel: header.channel_header.channel_id,
+        timestamp: header.channel_header.timestamp,
+        creatorMspid: header.signature_header.creator.Mspid,
+        validationCode: validationCode(code)
+    };
+    const actions = envelope.payload.data && envelope.payload.data.actions;
+    if (header.channel_header.typeString === 'ENDORSER_TRANSACTION' && Array.isArray(actions) && actions.length > 0) {
+        const actionPayload = actions[0].payload;
+        const spec = actionPayload.chaincode_proposal_payload.input.chaincode_spec;
+        const chaincodeAction = actionPayload.action.proposal_response_payload.extension;
+        transaction.chaincodeName = spec.chaincode_id.name;
+        transaction.chaincodeVersion = chaincodeAction.chaincode_id.version;
+        transaction.args = spec.input.args.map((arg) => Buffer.from(arg).toString('utf8'));
+        transaction.rwsets = decodeReadWriteSets(chaincodeAction.results);
+    }
+    return transaction;
+}
+
+/**
+ * Decodes a block into a JSON friendly object
+ * @param {object} block the block decoded by the SDK
+ * @returns {object} the block
+ */
+function decodeBlock(block) {
+    const filter = block.metadata && block.metadata.metadata ? block.metadata.metadata[TRANSACTIONS_FILTER] : null;
+    return {
+        number: Number(block.header.number),
+        dataHash: block.header.data_hash,
+        previousHash: block.header.previous_hash,
+        transactions: block.data.data.map((envelope, index) => decodeEnvelope(envelope, filter ? filter[index] : 'NOT_VALIDATED'))
+    };
+}
+
+/**
+ * Decodes a filtered block into a JSON friendly object
+ * @param {object} block the filtered block delivered by the event hub
+ * @returns {object} the block
+ */
+function decodeFilteredBlock(block) {
+    return {
+        number: Number(block.number),
+        channel: block.channel_id,
+        transactions: (block.filtered_transactions || []).map((transaction) => {
+            return {
+                txid: transaction.txid,
+                type: transaction.type,
+                validationCode: validationCode(transaction.tx_validation_code)
+            };
+        })
+    };
+}
+
+/**
+ * Decodes a processed transaction into a JSON friendly object
+ * @param {object} processedTransaction the processed transaction decoded by the SDK
+ * @returns {object} the transaction
+ */
+function decodeTransaction(processedTransaction) {
+    return decodeEnvelope(processedTransaction.transactionEnvelope, processedTransaction.validationCode);
+}
+
+/**
+ * Converts a number returned by the SDK, which can be a Long, to a number
+ * @param {number|Long} value the value
+ * @returns {number} the number
+ */
+function toNumber(value) {
+    return value && typeof value.toNumber === 'function' ? value.toNumber() : Number(value);
+}
+
+/**
+ * Decodes the blockchain info of a channel
+ * @param {object} info the blockchain info returned by Channel.queryInfo
+ * @returns {object} the height of the channel and the hashes of its last two blocks
+ */
+function decodeInfo(info) {
+    return {
+        height: toNumber(info.height),
+        currentBlockHash: info.currentBlockHash ? info.currentBlockHash.toString('hex') : null,
+        previousBlockHash: info.previousBlockHash ? info.previousBlockHash.toString('hex') : null
+    };
+}
+
+/**
+ * Decodes the chaincodes installed on a peer or instantiated on a channel
+ * @param {object} response the response of Client.queryInstalledChaincodes or Channel.queryInstantiatedChaincodes
+ * @returns {Array} the name, version and path of each chaincode
+ */
+function decodeChaincodes(response) {
+    return (response.chaincodes || []).map((chaincode) => {
+        return {
+            name: chaincode.name,
+            version: chaincode.version,
+            path: chaincode.path
+        };
+    });
+}
+
+module.exports = {
+    validationCode: validationCode,
+    decodeResult: decodeResult,
+    decodeBlock: decodeBlock,
+    decodeFilteredBlock: decodeFilteredBlock,
+    decodeTransaction: decodeTransaction,
+    decodeInfo: decodeInfo,
+    decodeChaincodes: decodeChaincodes
+};
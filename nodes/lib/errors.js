@@ -0,0 +1,138 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// The stable codes errors are classified into
+const TIMEOUT = 'TIMEOUT';
+const MVCC_CONFLICT = 'MVCC_CONFLICT';
+const ENDORSEMENT_FAILURE = 'ENDORSEMENT_FAILURE';
+const CHAINCODE_ERROR = 'CHAINCODE_ERROR';
+const CONNECTION_FAILURE = 'CONNECTION_FAILURE';
+const INVALID_TRANSACTION = 'INVALID_TRANSACTION';
+const INVALID_REQUEST = 'INVALID_REQUEST';
+const UNKNOWN = 'UNKNOWN';
+
+const CONNECTION_PATTERN = /UNAVAILABLE|Failed to connect|Connect Failed|ECONNREFUSED|ECONNRESET|ENOTFOUND/i;
+const TIMEOUT_PATTERN = /timeout|timed out|REQUEST_TIMEOUT|DEADLINE_EXCEEDED/i;
+const MVCC_PATTERN = /MVCC_READ_CONFLICT|PHANTOM_READ_CONFLICT/;
+const ENDORSEMENT_PATTERN = /ENDORSEMENT_POLICY_FAILURE|ProposalResponsePayloads do not match|endorsements? (do not match|mismatch)/i;
+const CHAINCODE_PATTERN = /(?:transaction returned with failure|chaincode error|error executing chaincode)[:,]?\s*(.*)/i;
+
+/**
+ * Lists the responses of the peers which rejected the proposal. A peer rejecting a proposal, when the chaincode
+ * returns an error or the transaction function does not exist, answers with a status of 400 or more, and the SDK
+ * flags the error built from its response with isProposalResponse. An evaluation is rejected with that error, a submit
+ * is rejected with an error listing the responses of every peer
+ * @param {Error} error the error
+ * @returns {Array} the errors built from the responses of the peers, empty when no peer answered with an error
+ */
+function peerRejections(error) {
+    const isRejection = (response) => response instanceof Error && (response.isProposalResponse === true || response.status >= 400);
+    if (isRejection(error)) {
+        return [error];
+    }
+    if (error && Array.isArray(error.responses)) {
+        return error.responses.filter(isRejection);
+    }
+    return [];
+}
+
+/**
+ * Removes the prefix the peer adds to the message of a chaincode
+ * @param {string} message the message returned by the peer
+ * @returns {string} the message of the chaincode
+ */
+function chaincodeMessage(message) {
+    const chaincodeMatch = CHAINCODE_PATTERN.exec(message);
+    return (chaincodeMatch ? chaincodeMatch[1] : message).split('\n')[0].trim();
+}
+
+/**
+ * Classifies an error returned by the endorsement, the commit or the connection to the network. The responses
+ * of the peers are classified first, so a chaincode message is never taken for a timeout or a connection failure
+ * @param {Error} error the error
+ * @returns {object} the classified error: its code, message and, when known, the chaincode message and the validation code
+ */
+function classify(error) {
+    const message = error && error.message ? error.message : String(error);
+    let classified = {
+        code: UNKNOWN,
+        message: message
+    };
+    if (error && error.transactionId) {
+        classified.transactionId = error.transactionId;
+    }
+    if (error && error.code === INVALID_REQUEST) {
+        // the request was rejected before a proposal was sent
+        classified.code = INVALID_REQUEST;
+        return classified;
+    }
+    if (error && error.transactionCode) {
+        // the transaction was committed but invalidated
+        classified.validationCode = error.transactionCode;
+        if (MVCC_PATTERN.test(error.transactionCode)) {
+            classified.code = MVCC_CONFLICT;
+        } else if (error.transactionCode === 'ENDORSEMENT_POLICY_FAILURE') {
+            classified.code = ENDORSEMENT_FAILURE;
+        } else {
+            classified.code = INVALID_TRANSACTION;
+        }
+        return classified;
+    }
+    const rejections = peerRejections(error);
+    if (rejections.length > 0) {
+        classified.code = CHAINCODE_ERROR;
+        classified.chaincodeMessage = chaincodeMessage(rejections[0].message || '');
+        return classified;
+    }
+    // the proposal was not answered, or the transaction was not committed in time: the error comes from the SDK
+    if (MVCC_PATTERN.test(message)) {
+        classified.code = MVCC_CONFLICT;
+    } else if (ENDORSEMENT_PATTERN.test(message)) {
+        classified.code = ENDORSEMENT_FAILURE;
+    } else if (CONNECTION_PATTERN.test(message)) {
+        classified.code = CONNECTION_FAILURE;
+    } else if ((error && error.name === 'TimeoutError') || TIMEOUT_PATTERN.test(message)) {
+        classified.code = TIMEOUT;
+    } else if (CHAINCODE_PATTERN.test(message)) {
+        classified.code = CHAINCODE_ERROR;
+        classified.chaincodeMessage = chaincodeMessage(message);
+    }
+    return classified;
+}
+
+/**
+ * Creates the error of a request rejected before a proposal is sent
+ * @param {string} message the reason the request is invalid
+ * @returns {Error} the error
+ */
+function invalidRequest(message) {
+    let error = new Error(message);
+    error.code = INVALID_REQUEST;
+    return error;
+}
+
+module.exports = {
+    TIMEOUT: TIMEOUT,
+    MVCC_CONFLICT: MVCC_CONFLICT,
+    ENDORSEMENT_FAILURE: ENDORSEMENT_FAILURE,
+    CHAINCODE_ERROR: CHAINCODE_ERROR,
+    CONNECTION_FAILURE: CONNECTION_FAILURE,
+    INVALID_TRANSACTION: INVALID_TRANSACTION,
+    INVALID_REQUEST: INVALID_REQUEST,
+    UNKNOWN: UNKNOWN,
+    classify: classify,
+    invalidRequest: invalidRequest
+};
@@ -0,0 +1,90 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/*
+ * Listening on several peers: each event is sent once, and a peer which disconnects is listened to again
+ * while the other peers keep listening.
+ */
+
+// Delay before registering again a listener on an event hub which disconnected, doubled after each failed attempt
+const DELAY = 5000;
+const MAX_DELAY = 60000;
+// Failed attempts after which a listener is not registered again
+const MAX_ATTEMPTS = 10;
+
+/**
+ * Creates a filter letting each event key through only once. Only the most recent keys are remembered
+ * @param {number} size the number of keys to remember
+ * @returns {Function} a function returning true the first time it is called with a key
+ */
+function createDeduplicator(size = 10000) {
+    let seen = new Set();
+    return (key) => {
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        if (seen.size > size) {
+            seen.delete(seen.values().next().value);
+        }
+        return true;
+    };
+}
+
+/**
+ * Creates the schedule of the attempts to listen again on the event hubs which disconnected. The delay doubles
+ * after each failed attempt on a hub, and starts again from the first delay once the hub has connected
+ * @param {object} options the schedule options
+ * @param {number} options.delay the delay in ms before the first attempt, 5000 by default
+ * @param {number} options.maxDelay the maximum delay in ms, 60000 by default
+ * @param {number} options.maxAttempts the failed attempts after which a hub is given up, 10 by default
+ * @returns {object} the schedule
+ */
+function createFailover(options) {
+    options = options || {};
+    const delay = options.delay || DELAY;
+    const maxDelay = options.maxDelay || MAX_DELAY;
+    const maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    let attempts = new Map();
+
+    return {
+        /**
+         * Records that a hub disconnected or failed to connect
+         * @param {object} hub the event hub
+         * @returns {number} the delay in ms before listening again on the hub, or -1 when it is given up
+         */
+        failed: function(hub) {
+            const attempt = (attempts.get(hub) || 0) + 1;
+            if (attempt > maxAttempts) {
+                return -1;
+            }
+            attempts.set(hub, attempt);
+            return Math.min(delay * Math.pow(2, attempt - 1), maxDelay);
+        },
+        /**
+         * Records that a hub connected
+         * @param {object} hub the event hub
+         */
+        connected: function(hub) {
+            attempts.delete(hub);
+        }
+    };
+}
+
+module.exports = {
+    createDeduplicator: createDeduplicator,
+    createFailover: createFailover
+};
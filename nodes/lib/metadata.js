@@ -0,0 +1,157 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// The system transaction returning the metadata of a contract
+const GET_METADATA = 'org.hyperledger.fabric:GetMetadata';
+
+// The system contract listed in the metadata of every chaincode
+const SYSTEM_CONTRACT = 'org.hyperledger.fabric';
+
+/**
+ * Returns the name of the contract called by transactions without a contract prefix. It is the contract flagged as
+ * default, else the first contract of the chaincode, as in the contract API. The contract API flags the default
+ * contract in its contractInstance
+ * @param {object} metadata the metadata of the chaincode
+ * @returns {string} the name of the default contract
+ */
+function defaultContract(metadata) {
+    const names = Object.keys(metadata.contracts || {}).filter((name) => name !== SYSTEM_CONTRACT);
+    const flagged = names.find((name) => {
+        const contract = metadata.contracts[name];
+        return contract.default === true || (contract.contractInstance && contract.contractInstance.default === true);
+    });
+    return flagged || names[0];
+}
+
+/**
+ * Returns the type of a parameter from its schema, following references to the component schemas
+ * @param {object} schema the schema of the parameter
+ * @returns {string} the JSON type of the parameter
+ */
+function parameterType(schema) {
+    if (!schema) {
+        return 'string';
+    }
+    if (schema.$ref) {
+        return 'object';
+    }
+    return schema.type || 'string';
+}
+
+/**
+ * Lists the transactions of a chaincode, with the name to call them by and their parameters
+ * @param {object} metadata the metadata of the chaincode
+ * @returns {Array} the transactions
+ */
+function listTransactions(metadata) {
+    const defaultName = defaultContract(metadata);
+    let transactions = [];
+    Object.keys(metadata.contracts || {}).filter((name) => name !== SYSTEM_CONTRACT).forEach((contractName) => {
+        (metadata.contracts[contractName].transactions || []).forEach((transaction) => {
+            transactions.push({
+                name: contractName === defaultName ? transaction.name : contractName + ':' + transaction.name,
+                contract: contractName,
+                submit: (transaction.tag || []).includes('submitTx') || (transaction.tag || []).includes('submit'),
+                parameters: (transaction.parameters || []).map((parameter) => {
+                    return { name: parameter.name, type: parameterType(parameter.schema) };
+                })
+            });
+        });
+    });
+    return transactions;
+}
+
+/**
+ * Finds a transaction in the metadata of a chaincode
+ * @param {object} metadata the metadata of the chaincode
+ * @param {string} transactionName the name of the transaction, optionally prefixed by its contract
+ * @returns {object} the transaction, or undefined
+ */
+function findTransaction(metadata, transactionName) {
+    const separator = transactionName.lastIndexOf(':');
+    const contractName = separator === -1 ? defaultContract(metadata) : transactionName.substring(0, separator);
+    const name = transactionName.substring(separator + 1);
+    const contract = (metadata.contracts || {})[contractName];
+    if (!contract) {
+        return undefined;
+    }
+    return (contract.transactions || []).find((transaction) => transaction.name === name);
+}
+
+/**
+ * Checks that an argument matches the type of a parameter. Arguments are strings, other types are passed as JSON
+ * @param {string} value the argument
+ * @param {string} type the JSON type of the parameter
+ * @returns {boolean} true if the argument matches
+ */
+function matchesType(value, type) {
+    if (type === 'string') {
+        return true;
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    } catch (error) {
+        return false;
+    }
+    if (type === 'integer') {
+        return Number.isInteger(parsed);
+    }
+    if (type === 'array') {
+        return Array.isArray(parsed);
+    }
+    if (type === 'object') {
+        return parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+    }
+    return typeof parsed === type;
+}
+
+/**
+ * Validates the arguments of a transaction against the metadata of its chaincode
+ * @param {object} metadata the metadata of the chaincode
+ * @param {string} transactionName the name of the transaction
+ * @param {Array} args the arguments, as strings
+ * @returns {string} the reason the arguments are invalid, or null
+ */
+function validateArguments(metadata, transactionName, args) {
+    if (transactionName === GET_METADATA) {
+        return null;
+    }
+    const transaction = findTransaction(metadata, transactionName);
+    if (!transaction) {
+        const names = listTransactions(metadata).map((item) => item.name);
+        return 'transaction ' + transactionName + ' is not in the contract, known transactions are ' + names.join(', ');
+    }
+    const parameters = transaction.parameters || [];
+    if (args.length !== parameters.length) {
+        return 'transaction ' + transactionName + ' expects ' + parameters.length + ' arguments (' +
+            parameters.map((parameter) => parameter.name).join(', ') + '), got ' + args.length;
+    }
+    for (let index = 0; index < parameters.length; index++) {
+        const type = parameterType(parameters[index].schema);
+        if (!matchesType(args[index], type)) {
+            return 'argument ' + index + ' (' + parameters[index].name + ') of transaction ' + transactionName +
+                ' should be of type ' + type + ', got ' + JSON.stringify(args[index]);
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    GET_METADATA: GET_METADATA,
+    listTransactions: listTransactions,
+    validateArguments: validateArguments
+};
@@ -0,0 +1,248 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// The number of latency samples kept for each scope and operation
+const MAX_SAMPLES = 1000;
+
+// The number of notable events kept, such as event hub disconnections
+const MAX_EVENTS = 100;
+
+// The rates are counted over the last minute, in one second buckets
+const RATE_WINDOW = 60;
+
+/**
+ * Returns a percentile of sorted values, with the nearest rank method
+ * @param {Array} sorted the values in ascending order
+ * @param {number} percent the percentile, between 0 and 100
+ * @returns {number} the percentile, or null when there are no values
+ */
+function percentile(sorted, percent) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    const rank = Math.ceil(percent / 100 * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Summarizes latency samples
+ * @param {Array} samples the latencies in ms
+ * @returns {object} the count, mean and percentiles of the samples
+ */
+function summarize(samples) {
+    const sorted = samples.slice().sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        mean: sorted.length === 0 ? null : Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p99: percentile(sorted, 99),
+        max: sorted.length === 0 ? null : sorted[sorted.length - 1]
+    };
+}
+
+/**
+ * Creates a rate counter counting over the last minute
+ * @returns {object} the counter
+ */
+function createRate() {
+    let buckets = new Array(RATE_WINDOW).fill(null).map(() => ({ second: 0, count: 0 }));
+    return {
+        add: function(value, now) {
+            const second = Math.floor(now / 1000);
+            const bucket = buckets[second % RATE_WINDOW];
+            if (bucket.second !== second) {
+                bucket.second = second;
+                bucket.count = 0;
+            }
+            bucket.count += value;
+        },
+        perMinute: function(now) {
+            const second = Math.floor(now / 1000);
+            return buckets.filter((bucket) => second - bucket.second < RATE_WINDOW).reduce((sum, bucket) => sum + bucket.count, 0);
+        }
+    };
+}
+
+/**
+ * Creates the metrics of a connection. Each node using the connection records its counters, rates, latencies,
+ * gauges and last error in its own scope, and everything counted in a node scope is counted in the connection scope too
+ * @param {string} connectionId the id of the connection, which is the scope of the connection metrics
+ * @returns {object} the metrics
+ */
+function createMetrics(connectionId) {
+    let scopes = {};
+    let events = [];
+    let sequence = 0;
+
+    /**
+     * Gets the metrics of a scope, creating them on first use
+     * @param {string} id the id of the scope
+     * @returns {object} the metrics of the scope
+     */
+    function scope(id) {
+        if (!scopes[id]) {
+            scopes[id] = { counters: {}, rates: {}, samples: {}, gauges: {}, lastError: null, lastSuccess: 0 };
+        }
+        return scopes[id];
+    }
+
+    /**
+     * Lists the scopes a record applies to: the scope of the node and the scope of the connection
+     * @param {string} id the id of the node, or null for the connection
+     * @returns {Array} the scopes
+     */
+    function targets(id) {
+        return !id || id === connectionId ? [scope(connectionId)] : [scope(id), scope(connectionId)];
+    }
+
+    return {
+        /**
+         * Counts something which happened, like a transaction or an event
+         * @param {string} id the id of the node
+         * @param {string} name the name of the counter
+         * @param {number} value the amount to add, 1 by default
+         */
+        count: function(id, name, value = 1) {
+            const now = Date.now();
+            targets(id).forEach((target) => {
+                target.counters[name] = (target.counters[name] || 0) + value;
+                if (!target.rates[name]) {
+                    target.rates[name] = createRate();
+                }
+                target.rates[name].add(value, now);
+            });
+        },
+        /**
+         * Records the latency of an operation
+         * @param {string} id the id of the node
+         * @param {string} name the operation, like endorse, commit or evaluate
+         * @param {number} latency the latency in ms
+         */
+        observe: function(id, name, latency) {
+            targets(id).forEach((target) => {
+                let samples = target.samples[name] = target.samples[name] || [];
+                samples.push(latency);
+                if (samples.length > MAX_SAMPLES) {
+                    samples.shift();
+                }
+            });
+        },
+        /**
+         * Sets a value describing the current state of a node, like the last block seen. Gauges are not added up
+         * in the connection scope
+         * @param {string} id the id of the node
+         * @param {string} name the name of the gauge
+         * @param {any} value the value
+         */
+        gauge: function(id, name, value) {
+            scope(id || connectionId).gauges[name] = value;
+        },
+        /**
+         * Records that an operation succeeded, clearing the last error from the status
+         * @param {string} id the id of the node
+         */
+        success: function(id) {
+            const now = Date.now();
+            targets(id).forEach((target) => {
+                target.lastSuccess = now;
+            });
+        },
+        /**
+         * Records an error
+         * @param {string} id the id of the node
+         * @param {object} error the classified error, with its code and message
+         */
+        error: function(id, error) {
+            const lastError = { code: error.code, message: error.message, at: Date.now() };
+            targets(id).forEach((target) => {
+                target.lastError = lastError;
+            });
+            this.count(id, 'errors');
+        },
+        /**
+         * Records a notable event, like the connection or the disconnection of an event hub, and counts it
+         * @param {string} id the id of the node, or null for the connection
+         * @param {string} type the type of the event
+         * @param {object} details what the event is about
+         */
+        event: function(id, type, details) {
+            events.push(Object.assign({ sequence: ++sequence, type: type, node: id || connectionId, timestamp: new Date().toISOString() }, details));
+            if (events.length > MAX_EVENTS) {
+                events.shift();
+            }
+            this.count(id, type);
+        },
+        /**
+         * Returns the current values of a scope, for the status of a node
+         * @param {string} id the id of the scope
+         * @returns {object} the counters, rates per minute, gauges and last error, or null when nothing was recorded
+         */
+        get: function(id) {
+            const target = scopes[id];
+            if (!target) {
+                return null;
+            }
+            const now = Date.now();
+            let perMinute = {};
+            Object.keys(target.rates).forEach((name) => {
+                perMinute[name] = target.rates[name].perMinute(now);
+            });
+            return {
+                counters: Object.assign({}, target.counters),
+                perMinute: perMinute,
+                gauges: Object.assign({}, target.gauges),
+                lastError: target.lastError,
+                failing: target.lastError !== null && target.lastError.at >= target.lastSuccess
+            };
+        },
+        /**
+         * Returns the metrics of every scope with the latency percentiles, and the events recorded after a sequence number
+         * @param {number} since the sequence number of the last event already read, 0 for all the events kept
+         * @returns {object} the snapshot
+         */
+        snapshot: function(since = 0) {
+            let result = {};
+            Object.keys(scopes).forEach((id) => {
+                let latency = {};
+                Object.keys(scopes[id].samples).forEach((name) => {
+                    latency[name] = summarize(scopes[id].samples[name]);
+                });
+                result[id] = Object.assign(this.get(id), { latency: latency });
+            });
+            return {
+                timestamp: new Date().toISOString(),
+                scopes: result,
+                events: events.filter((event) => event.sequence > since),
+                sequence: sequence
+            };
+        },
+        /**
+         * Clears the counters, rates, latencies, last errors and events of every scope. The gauges describe the
+         * current state of the nodes and are kept, and the sequence numbers of the events keep increasing
+         */
+        reset: function() {
+            Object.keys(scopes).forEach((id) => {
+                scopes[id] = { counters: {}, rates: {}, samples: {}, gauges: scopes[id].gauges, lastError: null, lastSuccess: 0 };
+            });
+            events = [];
+        }
+    };
+}
+
+module.exports = {
+    createMetrics: createMetrics
+};
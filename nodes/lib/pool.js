@@ -0,0 +1,307 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const errors = require('./errors');
+
+// Delay before the first reconnection attempt, doubled on each failure up to the maximum
+const RECONNECT_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+/**
+ * Parses the identities the messages can choose. Entries are separated by commas, an entry between slashes is a
+ * regular expression matching the whole name
+ * @param {string} value the configured allow-list
+ * @returns {Array} a function testing a name for each entry
+ */
+function parseAllowList(value) {
+    return (value || '').split(',').map((entry) => entry.trim()).filter((entry) => entry !== '').map((entry) => {
+        if (entry.length > 1 && entry.startsWith('/') && entry.endsWith('/')) {
+            let pattern;
+            try {
+                pattern = new RegExp('^(?:' + entry.slice(1, -1) + ')$');
+            } catch (error) {
+                throw new Error('invalid identity pattern ' + entry + ': ' + error.message);
+            }
+            return (name) => pattern.test(name);
+        }
+        return (name) => name === entry;
+    });
+}
+
+/**
+ * Creates the pool of gateways of a config node. Gateways are keyed by profile and identity,
+ * connected on first use and shared by every node using the config node.
+ * Gateways unused for the idle timeout are disconnected, unless they were requested to be kept alive
+ * @param {Node} node the config node owning the pool, with its getProfile function and its metrics
+ * @param {number} idleTimeout the time in seconds after which an unused gateway is disconnected, 0 to keep them all
+ * @param {Function} connectGateway an async function connecting the gateway of an identity to a parsed profile,
+ * which disconnects the gateway when the connection fails
+ * @returns {object} the pool
+ */
+function createGatewayPool(node, idleTimeout, connectGateway) {
+    let list = {};
+    // the entries dropped after a connection failure, whose gateway is still held
+    let retired = new Set();
+    let evictTimer = null;
+
+    /**
+     * Returns the key of a gateway in the pool
+     * @param {object} profile the parsed connection profile
+     * @param {string} identityName identityName
+     * @returns {string} the key
+     */
+    function key(profile, identityName) {
+        return (profile.name || node.id) + ':' + identityName;
+    }
+
+    /**
+     * Waits for the given amount of time
+     * @param {number} delay the delay in ms
+     * @returns {Promise} promise
+     */
+    function wait(delay) {
+        return new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
+    /**
+     * Records a failure on an entry and schedules its next connection attempt
+     * @param {object} entry the pool entry
+     */
+    function backoff(entry) {
+        entry.failures++;
+        entry.retryAt = Date.now() + Math.min(RECONNECT_DELAY * Math.pow(2, entry.failures - 1), RECONNECT_MAX_DELAY);
+    }
+
+    /**
+     * Builds and connects the gateway of an entry, waiting first for the backoff delay if the previous attempt failed
+     * @param {object} entry the pool entry
+     * @returns {PromiseLike<Gateway | never>} promise
+     */
+    async function connect(entry) {
+        const delay = entry.retryAt - Date.now();
+        if (delay > 0) {
+            node.log('waiting ' + delay + 'ms before reconnecting gateway for ' + entry.identityName);
+            await wait(delay);
+        }
+        let gateway;
+        try {
+            gateway = await connectGateway(entry.identityName, entry.profile);
+        } catch (error) {
+            backoff(entry);
+            node.metrics.event(null, 'gatewayConnectFailed', { identity: entry.identityName, message: error.message });
+            throw error;
+        }
+        if (list[entry.key] !== entry) {
+            // the pool was closed while connecting
+            gateway.disconnect();
+            throw new Error('Gateway for ' + entry.key + ' has been closed');
+        }
+        entry.failures = 0;
+        entry.retryAt = 0;
+        entry.gateway = gateway;
+        node.metrics.event(null, 'gatewayConnected', { identity: entry.identityName });
+        node.log('Connected gateway for ' + entry.key);
+        return gateway;
+    }
+
+    /**
+     * Disconnects the gateways which have not been used for the idle timeout
+     */
+    function evictIdle() {
+        const now = Date.now();
+        Object.keys(list).forEach((entryKey) => {
+            const entry = list[entryKey];
+            if (entry.gateway && entry.users === 0 && now - entry.lastUsed >= idleTimeout * 1000) {
+                node.log('Disconnecting idle gateway for ' + entryKey);
+                node.metrics.event(null, 'gatewayDisconnected', { identity: entry.identityName, message: 'idle' });
+                entry.gateway.disconnect();
+                delete list[entryKey];
+            }
+        });
+    }
+
+    /**
+     * Creates an entry of the pool, not connected yet
+     * @param {string} entryKey the key of the entry
+     * @param {string} identityName identityName
+     * @param {object} profile the parsed connection profile
+     * @returns {object} the pool entry
+     */
+    function createEntry(entryKey, identityName, profile) {
+        return {
+            key: entryKey,
+            identityName: identityName,
+            profile: profile,
+            gateway: null,
+            connecting: null,
+            failures: 0,
+            retryAt: 0,
+            users: 0,
+            lastUsed: 0
+        };
+    }
+
+    /**
+     * Gets the entry of an identity in the pool, creating it on first use
+     * @param {string} identityName identityName
+     * @returns {object} the pool entry
+     */
+    function entryFor(identityName) {
+        const profile = node.getProfile();
+        const entryKey = key(profile, identityName);
+        if (!list[entryKey]) {
+            list[entryKey] = createEntry(entryKey, identityName, profile);
+        }
+        return list[entryKey];
+    }
+
+    /**
+     * Gets the connected gateway of an entry, connecting it if needed
+     * @param {object} entry the pool entry
+     * @returns {PromiseLike<Gateway | never>} promise
+     */
+    function connected(entry) {
+        entry.lastUsed = Date.now();
+        if (idleTimeout > 0 && !evictTimer) {
+            evictTimer = setInterval(evictIdle, Math.max(idleTimeout * 500, 1000));
+            evictTimer.unref();
+        }
+        if (entry.gateway) {
+            return Promise.resolve(entry.gateway);
+        }
+        if (!entry.connecting) {
+            entry.connecting = connect(entry).then((gateway) => {
+                entry.connecting = null;
+                return gateway;
+            }, (error) => {
+                entry.connecting = null;
+                throw error;
+            });
+        }
+        return entry.connecting;
+    }
+
+    /**
+     * Gets the connected gateway for an identity, connecting it if needed
+     * @param {string} identityName identityName
+     * @returns {PromiseLike<Gateway | never>} promise
+     */
+    function get(identityName) {
+        return connected(entryFor(identityName));
+    }
+
+    /**
+     * Releases an entry held by acquire. The idle timeout starts when its last user releases it, and the gateway
+     * of an entry dropped after a connection failure is disconnected
+     * @param {object} entry the pool entry
+     */
+    function release(entry) {
+        entry.users--;
+        entry.lastUsed = Date.now();
+        if (entry.users === 0 && retired.has(entry)) {
+            retired.delete(entry);
+            node.log('Disconnecting failed gateway for ' + entry.key);
+            entry.gateway.disconnect();
+        }
+    }
+
+    /**
+     * Gets the connected gateway for an identity and holds it, so that it is not disconnected when idle
+     * until it is released. Used while a transaction, an event subscription or a block stream is running
+     * @param {string} identityName identityName
+     * @returns {PromiseLike<object | never>} promise resolving to the gateway and the function releasing it,
+     * which does nothing when called again
+     */
+    async function acquire(identityName) {
+        const entry = entryFor(identityName);
+        entry.users++;
+        let gateway;
+        try {
+            gateway = await connected(entry);
+        } catch (error) {
+            entry.users--;
+            throw error;
+        }
+        let released = false;
+        return {
+            gateway: gateway,
+            release: () => {
+                if (!released) {
+                    released = true;
+                    release(entry);
+                }
+            }
+        };
+    }
+
+    /**
+     * Drops the gateway of an identity after a connection failure, so that the next use reconnects it.
+     * A gateway still held is disconnected when its last user releases it
+     * @param {string} identityName identityName
+     * @param {Error} error the error that occurred while using the gateway
+     */
+    function reportError(identityName, error) {
+        if (errors.classify(error).code !== errors.CONNECTION_FAILURE) {
+            return;
+        }
+        Object.keys(list).forEach((entryKey) => {
+            const entry = list[entryKey];
+            if (entry.identityName === identityName && entry.gateway) {
+                node.warn('Connection failure for ' + entryKey + ', gateway will reconnect: ' + error.message);
+                node.metrics.event(null, 'gatewayDisconnected', { identity: entry.identityName, message: error.message });
+                // the next use connects a new entry, after the backoff delay
+                let replacement = createEntry(entryKey, entry.identityName, entry.profile);
+                replacement.failures = entry.failures;
+                backoff(replacement);
+                list[entryKey] = replacement;
+                if (entry.users > 0) {
+                    retired.add(entry);
+                } else {
+                    entry.gateway.disconnect();
+                }
+            }
+        });
+    }
+
+    /**
+     * Disconnects all the gateways of the pool
+     */
+    function disconnect() {
+        clearInterval(evictTimer);
+        evictTimer = null;
+        Object.keys(list).forEach((entryKey) => {
+            if (list[entryKey].gateway) {
+                node.log('Disconnecting gateway for ' + entryKey);
+                list[entryKey].gateway.disconnect();
+            }
+        });
+        list = {};
+        retired.forEach((entry) => entry.gateway.disconnect());
+        retired.clear();
+    }
+
+    return {
+        get: get,
+        acquire: acquire,
+        reportError: reportError,
+        disconnect: disconnect
+    };
+}
+
+module.exports = {
+    parseAllowList: parseAllowList,
+    createGatewayPool: createGatewayPool
+};
@@ -0,0 +1,168 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// The entries of a profile whose path points to a PEM file
+const PATH_ENTRIES = ['tlsCACerts', 'adminPrivateKey', 'signedCert', 'clientKey', 'clientCert'];
+
+const ENV_PATTERN = /\$\{(\w+)\}/g;
+
+/**
+ * Parses a connection profile written in JSON or YAML
+ * @param {string} text the connection profile
+ * @param {string} source where the profile comes from, for the error messages
+ * @returns {object} the parsed profile
+ */
+function parse(text, source) {
+    let profile;
+    if (/^\s*\{/.test(text)) {
+        try {
+            profile = JSON.parse(text);
+        } catch (error) {
+            throw new Error('invalid JSON in ' + source + ': ' + error.message);
+        }
+    } else {
+        try {
+            profile = yaml.safeLoad(text);
+        } catch (error) {
+            throw new Error('invalid YAML in ' + source + ': ' + error.message);
+        }
+    }
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        throw new Error(source + ' should contain an object');
+    }
+    return profile;
+}
+
+/**
+ * Replaces the ${VAR} references in the strings of a profile by the value of the environment variable
+ * @param {any} value the profile or one of its values
+ * @param {object} env the environment variables
+ * @param {Array} missing collects the names of the variables which are not set
+ * @returns {any} the value with the references replaced
+ */
+function substituteEnv(value, env, missing) {
+    if (typeof value === 'string') {
+        return value.replace(ENV_PATTERN, (reference, name) => {
+            if (!env.hasOwnProperty(name)) {
+                missing.push(name);
+                return reference;
+            }
+            return env[name];
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => substituteEnv(item, env, missing));
+    }
+    if (value && typeof value === 'object') {
+        let result = {};
+        Object.keys(value).forEach((key) => {
+            result[key] = substituteEnv(value[key], env, missing);
+        });
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Resolves the relative paths to PEM files of a profile against the first directory holding the file, and checks
+ * that the files exist
+ * @param {any} value the profile or one of its values
+ * @param {Array} baseDirs the directories relative paths are resolved against, in order
+ * @param {string} key the key of the value in its parent
+ */
+function resolvePaths(value, baseDirs, key) {
+    if (!value || typeof value !== 'object') {
+        return;
+    }
+    if (PATH_ENTRIES.includes(key) && typeof value.path === 'string') {
+        const candidates = baseDirs.map((baseDir) => path.resolve(baseDir, value.path)).filter((file, index, files) => files.indexOf(file) === index);
+        const found = candidates.find((file) => fs.existsSync(file));
+        if (!found) {
+            throw new Error(key + ' file ' + candidates.join(' or ') + ' does not exist');
+        }
+        value.path = found;
+        return;
+    }
+    Object.keys(value).forEach((childKey) => resolvePaths(value[childKey], baseDirs, childKey));
+}
+
+/**
+ * Checks that a profile can be used to connect a gateway
+ * @param {object} profile the parsed profile
+ */
+function validate(profile) {
+    const organization = profile.client && profile.client.organization;
+    if (organization && profile.organizations && !profile.organizations.hasOwnProperty(organization)) {
+        throw new Error('client organization ' + organization + ' is not in the organizations of the profile');
+    }
+    if (!profile.peers || typeof profile.peers !== 'object' || Object.keys(profile.peers).length === 0) {
+        throw new Error('the profile should define at least one peer');
+    }
+}
+
+/**
+ * Loads a connection profile from a file or from its text
+ * @param {object} options where to load the profile from
+ * @param {string} options.source file to read the profile from options.path, else the profile is options.text
+ * @param {string} options.path the path of the profile file
+ * @param {string} options.text the profile
+ * @param {string} options.baseDir the directory relative paths of an inline profile are resolved against
+ * @param {string} options.fallbackDir Optional the directory relative paths of an inline profile are resolved against
+ * when the file is not in options.baseDir
+ * @param {object} options.env the environment variables substituted in the profile
+ * @returns {object} the profile
+ */
+function load(options) {
+    let text;
+    let source;
+    let baseDirs;
+    if (options.source === 'file') {
+        if (!options.path) {
+            throw new Error('the path of the connection profile should be set');
+        }
+        const file = path.resolve(options.baseDir, options.path);
+        try {
+            text = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            throw new Error('cannot read connection profile ' + file + ': ' + error.message);
+        }
+        source = file;
+        baseDirs = [path.dirname(file)];
+    } else {
+        if (!options.text) {
+            throw new Error('the connection profile should be set');
+        }
+        text = options.text;
+        source = 'the connection profile';
+        baseDirs = options.fallbackDir ? [options.baseDir, options.fallbackDir] : [options.baseDir];
+    }
+    let missing = [];
+    const profile = substituteEnv(parse(text, source), options.env, missing);
+    if (missing.length > 0) {
+        throw new Error('environment variables used in ' + source + ' are not set: ' + missing.filter((name, index) => missing.indexOf(name) === index).join(', '));
+    }
+    resolvePaths(profile, baseDirs, null);
+    validate(profile);
+    return profile;
+}
+
+module.exports = {
+    load: load
+};
@@ -0,0 +1,117 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Creates the work queue of a node, which limits the number of transactions in flight
+ * The node status shows the number of queued and in flight transactions
+ * @param {Node} node the node
+ * @param {object} config the configuration of the node
+ * @param {number} config.concurrency the maximum number of transactions in flight, 10 by default
+ * @param {number} config.maxQueue the maximum number of queued transactions, 1000 by default
+ * @param {string} config.overflow what to do when the queue is full: reject (default) the new transaction,
+ * drop the oldest queued transaction or hold the new transaction in an overflow buffer of maxQueue transactions.
+ * Node-RED cannot slow down the messages sent to a node, so the transactions arriving when the buffer is full too are rejected
+ * @param {Function} showIdle called to show the live status of the node when the queue is idle
+ * @returns {object} the queue
+ */
+function createWorkQueue(node, config, showIdle) {
+    const concurrency = parseInt(config.concurrency) || 10;
+    const maxQueue = parseInt(config.maxQueue) || 1000;
+    const overflow = config.overflow || 'reject';
+    let queue = [];
+    let held = [];
+    let running = 0;
+
+    /**
+     * Shows the queue counts, or the live status of the node when the queue is idle
+     */
+    function status() {
+        if (running > 0 || queue.length > 0 || held.length > 0) {
+            node.status({
+                fill: held.length > 0 ? 'yellow' : 'blue',
+                shape: 'ring',
+                text: 'queued: ' + (queue.length + held.length) + ', in flight: ' + running
+            });
+        } else {
+            showIdle();
+        }
+    }
+
+    /**
+     * Starts the queued transactions while there is room
+     */
+    function next() {
+        while (held.length > 0 && queue.length < maxQueue) {
+            queue.push(held.shift());
+        }
+        while (running < concurrency && queue.length > 0) {
+            const item = queue.shift();
+            running++;
+            Promise.resolve().then(item.task).then((result) => {
+                running--;
+                next();
+                item.resolve(result);
+            }, (error) => {
+                running--;
+                next();
+                item.reject(error);
+            });
+        }
+        status();
+    }
+
+    return {
+        /**
+         * Queues a task
+         * @param {Function} task an async function running the transaction
+         * @returns {Promise<any>} promise resolving to the result of the task
+         */
+        push: function(task) {
+            return new Promise((resolve, reject) => {
+                const item = { task: task, resolve: resolve, reject: reject };
+                if (queue.length >= maxQueue) {
+                    if (overflow === 'drop') {
+                        const dropped = queue.shift();
+                        node.warn('Work queue is full, dropped the oldest queued transaction');
+                        dropped.reject(new Error('transaction dropped from the full work queue'));
+                    } else if (overflow === 'hold' && held.length < maxQueue) {
+                        held.push(item);
+                        status();
+                        return;
+                    } else {
+                        reject(new Error('work queue is full, ' + (queue.length + held.length) + ' transactions are queued'));
+                        return;
+                    }
+                }
+                queue.push(item);
+                next();
+            });
+        },
+        /**
+         * Rejects all the queued transactions
+         */
+        clear: function() {
+            queue.concat(held).forEach((item) => item.reject(new Error('node is closing')));
+            queue = [];
+            held = [];
+        },
+        status: status
+    };
+}
+
+module.exports = {
+    createWorkQueue: createWorkQueue
+};
@@ -0,0 +1,61 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const errors = require('./errors');
+
+/**
+ * Builds the retry policy of a node
+ * @param {object} config the configuration of the node
+ * @returns {object} the retry policy
+ */
+function retryPolicy(config) {
+    return {
+        maxAttempts: parseInt(config.retryMaxAttempts) || 1,
+        backoff: parseInt(config.retryBackoff) || 1000,
+        retryOn: (config.retryOn || '').split(',').filter((code) => code !== '')
+    };
+}
+
+/**
+ * Runs a task, running it again with an exponential backoff when it fails with an error the policy retries
+ * The classification of the last error is set on the error as classified
+ * @param {Node} node the node
+ * @param {object} policy the retry policy
+ * @param {Function} task an async function
+ * @returns {Promise<any>} promise resolving to the result of the task
+ */
+async function withRetry(node, policy, task) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await task();
+        } catch (error) {
+            const classified = errors.classify(error);
+            classified.attempts = attempt;
+            error.classified = classified;
+            if (attempt >= policy.maxAttempts || !policy.retryOn.includes(classified.code)) {
+                throw error;
+            }
+            const delay = policy.backoff * Math.pow(2, attempt - 1);
+            node.warn('Attempt ' + attempt + ' failed with ' + classified.code + ', retrying in ' + delay + 'ms');
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+    }
+}
+
+module.exports = {
+    retryPolicy: retryPolicy,
+    withRetry: withRetry
+};
@@ -0,0 +1,774 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/*
+ * An in-process stand-in for a Fabric network. It implements the parts of the gateway, network, contract, channel
+ * and event hub objects of the SDK used by the nodes, and builds blocks shaped like the blocks decoded by the SDK,
+ * so that the nodes work the same way on a simulated ledger and on a real network.
+ */
+
+const crypto = require('crypto');
+const vm = require('vm');
+const decoder = require('./decoder');
+
+const GET_METADATA = 'org.hyperledger.fabric:GetMetadata';
+const MSP_ID = 'SimulatedMSP';
+const PEER_NAME = 'peer0.simulated';
+const PEER_ADDRESS = 'localhost:7051';
+
+// The validation codes of the transactions committed by the simulator
+const VALID = 0;
+const MVCC_READ_CONFLICT = 11;
+
+// The commit event handler of a transaction when no strategy is set, as in the SDK
+const NO_OP_EVENT_HANDLER = {
+    startListening: async () => {},
+    waitForEvents: async () => {},
+    cancelListening: () => {}
+};
+
+// The built-in contract, storing strings by key
+const KEY_VALUE_CONTRACT = {
+    put: async (ctx, key, value) => {
+        await ctx.stub.putState(key, Buffer.from(value));
+        ctx.stub.setEvent('put', Buffer.from(JSON.stringify({ key: key, value: value })));
+        return value;
+    },
+    get: async (ctx, key) => {
+        const value = await ctx.stub.getState(key);
+        if (value.length === 0) {
+            throw new Error('key ' + key + ' does not exist');
+        }
+        return value;
+    },
+    delete: async (ctx, key) => {
+        await ctx.stub.deleteState(key);
+        ctx.stub.setEvent('delete', Buffer.from(JSON.stringify({ key: key })));
+    },
+    getRange: async (ctx, startKey, endKey) => {
+        const results = await ctx.stub.getStateByRange(startKey, endKey);
+        return JSON.stringify(results.map((result) => {
+            return { key: result.key, value: result.value.toString('utf8') };
+        }));
+    },
+    metadata: {
+        contracts: {
+            KeyValue: {
+                name: 'KeyValue',
+                default: true,
+                transactions: [
+                    { name: 'put', tag: ['submitTx'], parameters: [{ name: 'key', schema: { type: 'string' } }, { name: 'value', schema: { type: 'string' } }] },
+                    { name: 'get', parameters: [{ name: 'key', schema: { type: 'string' } }] },
+                    { name: 'delete', tag: ['submitTx'], parameters: [{ name: 'key', schema: { type: 'string' } }] },
+                    { name: 'getRange', parameters: [{ name: 'startKey', schema: { type: 'string' } }, { name: 'endKey', schema: { type: 'string' } }] }
+                ]
+            }
+        }
+    }
+};
+
+/**
+ * Compiles the code of a contract. The code assigns module.exports an object whose functions are the transactions,
+ * called with a context and the arguments as strings. It can export the metadata returned by GetMetadata
+ * @param {string} code the code of the contract
+ * @returns {object} the contract
+ */
+function compileContract(code) {
+    let sandbox = { module: { exports: {} }, Buffer: Buffer, console: console, JSON: JSON, Promise: Promise };
+    sandbox.exports = sandbox.module.exports;
+    vm.runInNewContext(code, sandbox, { filename: 'contract.js', timeout: 1000 });
+    const contract = sandbox.module.exports;
+    if (!contract || typeof contract !== 'object' || !Object.keys(contract).some((name) => typeof contract[name] === 'function')) {
+        throw new Error('the contract should export an object of transaction functions');
+    }
+    return contract;
+}
+
+/**
+ * Returns the sha256 hash of a value
+ * @param {string} value the value
+ * @returns {Buffer} the hash
+ */
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Converts the value returned by a transaction function to the buffer returned to the client
+ * @param {any} value the returned value
+ * @returns {Buffer} the buffer
+ */
+function toBuffer(value) {
+    if (value === undefined || value === null) {
+        return Buffer.alloc(0);
+    }
+    if (Buffer.isBuffer(value)) {
+        return value;
+    }
+    return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+/**
+ * Creates the error of a transaction invalidated by the peer, shaped like the errors of the commit event handlers of
+ * the SDK
+ * @param {string} txid the transaction id
+ * @param {number} code the validation code
+ * @returns {Error} the error
+ */
+function rejection(txid, code) {
+    const transactionCode = decoder.validationCode(code);
+    let error = new Error('Peer ' + PEER_ADDRESS + ' has rejected transaction ' + JSON.stringify(txid) + ' with code ' + JSON.stringify(transactionCode));
+    error.name = 'TransactionError';
+    error.transactionId = txid;
+    error.transactionCode = transactionCode;
+    return error;
+}
+
+/**
+ * Creates the simulated peer, also used as the channel peer of the channels
+ * @returns {object} the peer
+ */
+function createPeer() {
+    let peer = {
+        getName: () => PEER_NAME,
+        getUrl: () => 'grpc://' + PEER_ADDRESS,
+        getMspid: () => MSP_ID,
+        getPeer: () => peer
+    };
+    return peer;
+}
+
+/**
+ * Creates the ledger of a channel: its blocks, its world state and the event hubs listening to it
+ * @param {string} channelName the name of the channel
+ * @returns {object} the ledger
+ */
+function createLedger(channelName) {
+    let blocks = [];
+    let headerHashes = [];
+    let transactions = {};
+    let state = {};
+    let hubs = new Set();
+
+    /**
+     * Appends a block to the ledger and delivers it to the connected event hubs
+     * @param {Array} envelopes the transactions of the block
+     * @param {Array} codes the validation codes of the transactions
+     * @param {Array} events the chaincode event of each transaction, or null
+     * @returns {object} the block
+     */
+    function append(envelopes, codes, events) {
+        const number = blocks.length;
+        const previousHash = number === 0 ? '' : headerHashes[number - 1].toString('hex');
+        const dataHash = hash(JSON.stringify(envelopes)).toString('hex');
+        const block = {
+            header: { number: String(number), previous_hash: previousHash, data_hash: dataHash },
+            data: { data: envelopes },
+            metadata: { metadata: [[], [], codes, []] }
+        };
+        // kept aside, the SDK does not return them in the block
+        Object.defineProperty(block, 'events', { value: events });
+        blocks.push(block);
+        headerHashes.push(hash(number + previousHash + dataHash));
+        envelopes.forEach((envelope, index) => {
+            transactions[envelope.payload.header.channel_header.tx_id] = { block: number, index: index };
+        });
+        hubs.forEach((hub) => setImmediate(() => hub.deliver(block)));
+        return block;
+    }
+
+    /**
+     * Returns the entry of the world state of a chaincode
+     * @param {string} namespace the chaincode
+     * @param {string} key the key
+     * @returns {object} the value and its version, or undefined
+     */
+    function get(namespace, key) {
+        return state[namespace] ? state[namespace][key] : undefined;
+    }
+
+    /**
+     * Applies the writes of a valid transaction to the world state
+     * @param {string} namespace the chaincode
+     * @param {Array} writes the writes
+     * @param {object} version the block and transaction numbers
+     */
+    function apply(namespace, writes, version) {
+        if (!state[namespace]) {
+            state[namespace] = {};
+        }
+        writes.forEach((write) => {
+            if (write.is_delete) {
+                delete state[namespace][write.key];
+            } else {
+                state[namespace][write.key] = { value: Buffer.from(write.value), version: version };
+            }
+        });
+    }
+
+    /**
+     * Checks the keys read by a transaction against the world state, as the peers do when validating it
+     * @param {string} namespace the chaincode
+     * @param {Array} reads the keys read and the versions they had
+     * @returns {boolean} true when a key has been written or deleted since it was read
+     */
+    function isStale(namespace, reads) {
+        const versionOf = (version) => version ? version.block_num + ':' + version.tx_num : null;
+        return reads.some((read) => {
+            const entry = get(namespace, read.key);
+            return versionOf(entry ? entry.version : null) !== versionOf(read.version);
+        });
+    }
+
+    /**
+     * Lists the keys of the world state of a chaincode in a range
+     * @param {string} namespace the chaincode
+     * @param {string} startKey the first key, included. Empty for no lower bound
+     * @param {string} endKey the last key, excluded. Empty for no upper bound
+     * @returns {Array} the keys, sorted
+     */
+    function keys(namespace, startKey, endKey) {
+        return Object.keys(state[namespace] || {}).sort().filter((key) => (!startKey || key >= startKey) && (!endKey || key < endKey));
+    }
+
+    /**
+     * Returns a block
+     * @param {number} number the number of the block
+     * @returns {object} the block
+     */
+    function getBlock(number) {
+        const block = blocks[Number(number)];
+        if (!block) {
+            throw new Error('Entry not found in index');
+        }
+        return block;
+    }
+
+    // the genesis block
+    append([{
+        signature: Buffer.alloc(0),
+        payload: {
+            header: {
+                channel_header: { type: 1, typeString: 'CONFIG', version: 1, timestamp: new Date().toISOString(), channel_id: channelName, tx_id: '', epoch: '0' },
+                signature_header: { creator: { Mspid: MSP_ID, IdBytes: '' }, nonce: Buffer.alloc(0) }
+            },
+            data: {}
+        }
+    }], [0], [null]);
+
+    return {
+        name: channelName,
+        hubs: hubs,
+        append: append,
+        get: get,
+        apply: apply,
+        isStale: isStale,
+        keys: keys,
+        getBlock: getBlock,
+        height: () => blocks.length,
+        blocks: () => blocks,
+        headerHash: (number) => headerHashes[number],
+        findBlockByHash: (blockHash) => {
+            const index = headerHashes.findIndex((headerHash) => headerHash.equals(blockHash));
+            return getBlock(index === -1 ? -1 : index);
+        },
+        findTransaction: (txid) => {
+            if (!transactions.hasOwnProperty(txid)) {
+                throw new Error('Entry not found in index');
+            }
+            return transactions[txid];
+        },
+        namespaces: () => Object.keys(state)
+    };
+}
+
+/**
+ * Converts a full block to the filtered block delivered to the hubs connected without full blocks
+ * @param {object} block the block
+ * @param {string} channelName the name of the channel
+ * @returns {object} the filtered block
+ */
+function filterBlock(block, channelName) {
+    return {
+        channel_id: channelName,
+        number: block.header.number,
+        filtered_transactions: block.data.data.map((envelope, index) => {
+            return {
+                txid: envelope.payload.header.channel_header.tx_id,
+                type: envelope.payload.header.channel_header.typeString,
+                tx_validation_code: block.metadata.metadata[2][index]
+            };
+        })
+    };
+}
+
+/**
+ * Creates an event hub on a ledger
+ * @param {object} ledger the ledger of the channel
+ * @returns {object} the event hub
+ */
+function createEventHub(ledger) {
+    let listeners = [];
+    let connected = false;
+    let fullBlock = true;
+
+    /**
+     * Delivers a block to a listener, unregistering it after its end block
+     * @param {object} listener the listener
+     * @param {object} block the block
+     */
+    function deliverTo(listener, block) {
+        const number = Number(block.header.number);
+        if ((listener.startBlock !== undefined && number < listener.startBlock) || !listeners.includes(listener)) {
+            return;
+        }
+        if (listener.type === 'block') {
+            listener.onEvent(fullBlock ? block : filterBlock(block, ledger.name));
+        } else {
+            block.events.forEach((event, index) => {
+                if (event && event.chaincode_id === listener.chaincodeName && listener.eventName.test(event.event_name)) {
+                    listener.onEvent(event, String(number), event.tx_id, decoder.validationCode(block.metadata.metadata[2][index]));
+                }
+            });
+        }
+        if (listener.endBlock !== undefined && number >= listener.endBlock) {
+            unregister(listener);
+            if (listener.onError) {
+                listener.onError(new Error('Shutdown due to end block number has been seen: ' + number));
+            }
+        }
+    }
+
+    /**
+     * Registers a listener
+     * @param {object} listener the listener
+     * @param {object} options the startBlock and endBlock options
+     * @returns {object} the listener
+     */
+    function register(listener, options) {
+        options = options || {};
+        listener.startBlock = options.startBlock !== undefined ? Number(options.startBlock) : undefined;
+        listener.endBlock = options.endBlock !== undefined ? Number(options.endBlock) : undefined;
+        listeners.push(listener);
+        return listener;
+    }
+
+    /**
+     * Unregisters a listener, if it is still registered
+     * @param {object} listener the listener
+     */
+    function unregister(listener) {
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    let hub = {
+        getName: () => PEER_NAME,
+        getPeerAddr: () => PEER_ADDRESS,
+        isconnected: () => connected,
+        registerChaincodeEvent: (chaincodeName, eventName, onEvent, onError, options) => register({
+            type: 'chaincode',
+            chaincodeName: chaincodeName,
+            eventName: new RegExp(eventName),
+            onEvent: onEvent,
+            onError: onError
+        }, options),
+        registerBlockEvent: (onEvent, onError, options) => register({ type: 'block', onEvent: onEvent, onError: onError }, options),
+        unregisterChaincodeEvent: unregister,
+        unregisterBlockEvent: unregister,
+        connect: (options, connectCallback) => {
+            if (connected) {
+                return;
+            }
+            connected = true;
+            fullBlock = (options !== null && typeof options === 'object' ? options.full_block : options) !== false;
+            ledger.hubs.add(hub);
+            // replay the blocks already in the ledger to the listeners with a start block
+            const history = ledger.blocks().slice();
+            setImmediate(() => {
+                if (connectCallback) {
+                    connectCallback(null, hub);
+                }
+                listeners.slice().forEach((listener) => {
+                    if (listener.startBlock !== undefined) {
+                        history.forEach((block) => deliverTo(listener, block));
+                    }
+                });
+            });
+        },
+        disconnect: () => {
+            connected = false;
+            ledger.hubs.delete(hub);
+            const closed = listeners;
+            listeners = [];
+            closed.forEach((listener) => {
+                if (listener.onError) {
+                    listener.onError(new Error('ChannelEventHub has been shutdown'));
+                }
+            });
+        },
+        deliver: (block) => {
+            listeners.slice().forEach((listener) => deliverTo(listener, block));
+        }
+    };
+    return hub;
+}
+
+/**
+ * Creates a simulated Fabric network
+ * @param {object} options the simulation options
+ * @param {string} options.contract keyvalue for the built-in key-value contract, or custom
+ * @param {string} options.code the code of the custom contract
+ * @returns {object} the simulator, whose connect function returns gateways
+ */
+function createSimulator(options) {
+    const contractCode = options.contract === 'custom' ? compileContract(options.code || '') : KEY_VALUE_CONTRACT;
+    const peer = createPeer();
+    let ledgers = {};
+    let chaincodes = new Set();
+
+    /**
+     * Returns the ledger of a channel, creating it on first use
+     * @param {string} channelName the name of the channel
+     * @returns {object} the ledger
+     */
+    function getLedger(channelName) {
+        if (!ledgers.hasOwnProperty(channelName)) {
+            ledgers[channelName] = createLedger(channelName);
+        }
+        return ledgers[channelName];
+    }
+
+    /**
+     * Runs a transaction function against the world state, recording its reads, writes and event
+     * @param {object} ledger the ledger of the channel
+     * @param {string} chaincodeName the chaincode, the namespace of the world state
+     * @param {string} txid the transaction id
+     * @param {string} identityName the name of the client identity
+     * @param {string} name the name of the transaction
+     * @param {Array} args the arguments
+     * @param {object} transient the transient data
+     * @returns {Promise<object>} promise resolving to the result, the read/write set and the event
+     */
+    async function execute(ledger, chaincodeName, txid, identityName, name, args, transient) {
+        if (name === GET_METADATA) {
+            if (!contractCode.metadata) {
+                throw new Error('transaction returned with failure: the contract exports no metadata');
+            }
+            return { result: toBuffer(contractCode.metadata), reads: [], writes: [], event: null };
+        }
+        const functionName = name.substring(name.lastIndexOf(':') + 1);
+        if (typeof contractCode[functionName] !== 'function' || functionName === 'metadata') {
+            throw new Error('transaction returned with failure: You\'ve asked to invoke a function that does not exist: ' + name);
+        }
+        let reads = [];
+        let writes = {};
+        let event = null;
+        const read = (key) => {
+            if (writes.hasOwnProperty(key)) {
+                return writes[key].is_delete ? undefined : { value: Buffer.from(writes[key].value) };
+            }
+            const entry = ledger.get(chaincodeName, key);
+            reads.push({ key: key, version: entry ? { block_num: String(entry.version.block_num), tx_num: String(entry.version.tx_num) } : null });
+            return entry;
+        };
+        const ctx = {
+            stub: {
+                getTxID: () => txid,
+                getChannelID: () => ledger.name,
+                getArgs: () => [name].concat(args),
+                getFunctionAndParameters: () => {
+                    return { fcn: name, params: args };
+                },
+                getTransient: () => new Map(Object.keys(transient || {}).map((key) => [key, transient[key]])),
+                getState: async (key) => {
+                    const entry = read(key);
+                    return entry ? entry.value : Buffer.alloc(0);
+                },
+                putState: async (key, value) => {
+                    writes[key] = { key: key, is_delete: false, value: Buffer.from(toBuffer(value)) };
+                },
+                deleteState: async (key) => {
+                    writes[key] = { key: key, is_delete: true, value: Buffer.alloc(0) };
+                },
+                getStateByRange: async (startKey, endKey) => {
+                    let results = [];
+                    ledger.keys(chaincodeName, startKey, endKey).forEach((key) => {
+                        // keys deleted earlier in the transaction are not returned
+                        const entry = read(key);
+                        if (entry) {
+                            results.push({ key: key, value: entry.value });
+                        }
+                    });
+                    return results;
+                },
+                setEvent: (eventName, payload) => {
+                    event = { chaincode_id: chaincodeName, tx_id: txid, event_name: eventName, payload: toBuffer(payload) };
+                }
+            },
+            clientIdentity: {
+                getMSPID: () => MSP_ID,
+                getID: () => 'x509::/CN=' + identityName + '::/CN=simulated-ca'
+            }
+        };
+        let result;
+        try {
+            result = await contractCode[functionName].apply(contractCode, [ctx].concat(args));
+        } catch (error) {
+            throw new Error('transaction returned with failure: ' + (error && error.message ? error.message : error));
+        }
+        return { result: toBuffer(result), reads: reads, writes: Object.keys(writes).map((key) => writes[key]), event: event };
+    }
+
+    /**
+     * Builds the envelope of an endorser transaction, shaped like the envelopes decoded by the SDK
+     * @param {object} ledger the ledger of the channel
+     * @param {string} chaincodeName the chaincode
+     * @param {string} txid the transaction id
+     * @param {string} name the name of the transaction
+     * @param {Array} args the arguments
+     * @param {object} execution the outcome of the execution
+     * @returns {object} the envelope
+     */
+    function envelope(ledger, chaincodeName, txid, name, args, execution) {
+        const header = {
+            channel_header: { type: 3, typeString: 'ENDORSER_TRANSACTION', version: 1, timestamp: new Date().toISOString(), channel_id: ledger.name, tx_id: txid, epoch: '0' },
+            signature_header: { creator: { Mspid: MSP_ID, IdBytes: '' }, nonce: crypto.randomBytes(24) }
+        };
+        return {
+            signature: Buffer.alloc(0),
+            payload: {
+                header: header,
+                data: {
+                    actions: [{
+                        header: header.signature_header,
+                        payload: {
+                            chaincode_proposal_payload: {
+                                input: {
+                                    chaincode_spec: {
+                                        type: 'NODE',
+                                        chaincode_id: { name: chaincodeName },
+                                        input: { args: [Buffer.from(name)].concat(args.map((arg) => Buffer.from(arg))) }
+                                    }
+                                }
+                            },
+                            action: {
+                                proposal_response_payload: {
+                                    extension: {
+                                        results: {
+                                            data_model: 'KV',
+                                            ns_rwset: [{
+                                                namespace: chaincodeName,
+                                                rwset: {
+                                                    reads: execution.reads,
+                                                    range_queries_info: [],
+                                                    // the SDK decodes the written values as strings
+                                                    writes: execution.writes.map((write) => {
+                                                        return { key: write.key, is_delete: write.is_delete, value: write.value.toString('utf8') };
+                                                    })
+                                                }
+                                            }]
+                                        },
+                                        events: execution.event || {},
+                                        response: { status: 200, message: '', payload: execution.result.toString('utf8') },
+                                        chaincode_id: { name: chaincodeName, version: '1.0', path: 'simulated' }
+                                    }
+                                },
+                                endorsements: []
+                            }
+                        }
+                    }]
+                }
+            }
+        };
+    }
+
+    /**
+     * Creates the contract object of a chaincode
+     * @param {object} network the network
+     * @param {object} ledger the ledger of the channel
+     * @param {string} chaincodeName the chaincode
+     * @param {string} identityName the name of the client identity
+     * @returns {object} the contract
+     */
+    function createContract(network, ledger, chaincodeName, identityName) {
+        chaincodes.add(chaincodeName);
+
+        /**
+         * Creates a transaction of the contract
+         * @param {string} name the name of the transaction
+         * @returns {object} the transaction
+         */
+        function createTransaction(name) {
+            const txid = crypto.randomBytes(32).toString('hex');
+            let transient = {};
+            let createTxEventHandler = () => NO_OP_EVENT_HANDLER;
+            const transaction = {
+                getName: () => name,
+                getTransactionID: () => {
+                    return { getTransactionID: () => txid };
+                },
+                setTransient: (map) => {
+                    transient = map || {};
+                },
+                setEndorsingPeers: () => {},
+                setEndorsingOrganizations: () => {},
+                setEventHandlerStrategy: (factory) => {
+                    createTxEventHandler = factory;
+                },
+                evaluate: async (...args) => {
+                    const execution = await execute(ledger, chaincodeName, txid, identityName, name, args, transient);
+                    return execution.result;
+                },
+                submit: async (...args) => {
+                    const eventHandler = createTxEventHandler(transaction, {});
+                    const execution = await execute(ledger, chaincodeName, txid, identityName, name, args, transient);
+                    await eventHandler.startListening();
+                    // another transaction may have been committed while this one was executed
+                    const code = ledger.isStale(chaincodeName, execution.reads) ? MVCC_READ_CONFLICT : VALID;
+                    if (code === VALID) {
+                        ledger.apply(chaincodeName, execution.writes, { block_num: ledger.height(), tx_num: 0 });
+                    }
+                    ledger.append([envelope(ledger, chaincodeName, txid, name, args, execution)], [code], [execution.event]);
+                    await eventHandler.waitForEvents();
+                    if (code !== VALID) {
+                        throw rejection(txid, code);
+                    }
+                    return execution.result;
+                }
+            };
+            return transaction;
+        }
+
+        return {
+            getNetwork: () => network,
+            createTransaction: createTransaction,
+            submitTransaction: (name, ...args) => createTransaction(name).submit(...args),
+            evaluateTransaction: (name, ...args) => createTransaction(name).evaluate(...args)
+        };
+    }
+
+    /**
+     * Creates the channel object of a ledger
+     * @param {object} ledger the ledger
+     * @returns {object} the channel
+     */
+    function createChannel(ledger) {
+        return {
+            getName: () => ledger.name,
+            getChannelPeer: (name) => {
+                if (name !== PEER_NAME) {
+                    throw new Error('Peer with name "' + name + '" not assigned to this channel');
+                }
+                return peer;
+            },
+            getChannelPeers: () => [peer],
+            getChannelEventHubsForOrg: () => [createEventHub(ledger)],
+            newChannelEventHub: (name) => {
+                if (name !== PEER_NAME) {
+                    throw new Error('Peer with name "' + name + '" not assigned to this channel');
+                }
+                return createEventHub(ledger);
+            },
+            queryInfo: async () => {
+                const height = ledger.height();
+                return {
+                    height: height,
+                    currentBlockHash: ledger.headerHash(height - 1),
+                    previousBlockHash: height > 1 ? ledger.headerHash(height - 2) : Buffer.alloc(0)
+                };
+            },
+            queryBlock: async (number) => ledger.getBlock(number),
+            queryBlockByHash: async (blockHash) => ledger.findBlockByHash(blockHash),
+            queryBlockByTxID: async (txid) => ledger.getBlock(ledger.findTransaction(txid).block),
+            queryTransaction: async (txid) => {
+                const location = ledger.findTransaction(txid);
+                const block = ledger.getBlock(location.block);
+                return {
+                    validationCode: block.metadata.metadata[2][location.index],
+                    transactionEnvelope: block.data.data[location.index]
+                };
+            },
+            queryInstantiatedChaincodes: async () => {
+                return {
+                    chaincodes: ledger.namespaces().concat(Array.from(chaincodes)).filter((name, index, names) => names.indexOf(name) === index).map((name) => {
+                        return { name: name, version: '1.0', path: 'simulated' };
+                    })
+                };
+            }
+        };
+    }
+
+    /**
+     * Returns a gateway connected to the simulated network
+     * @param {string} identityName the name of the client identity
+     * @returns {object} the gateway
+     */
+    function connect(identityName) {
+        let networks = {};
+        return {
+            getCurrentIdentity: () => {
+                return { getName: () => identityName };
+            },
+            getNetwork: async (channelName) => {
+                if (!networks.hasOwnProperty(channelName)) {
+                    const ledger = getLedger(channelName);
+                    const channel = createChannel(ledger);
+                    let network = { getChannel: () => channel };
+                    network.getContract = (chaincodeName) => createContract(network, ledger, chaincodeName, identityName);
+                    networks[channelName] = network;
+                }
+                return networks[channelName];
+            },
+            getClient: () => {
+                return {
+                    getPeersForOrg: () => [peer],
+                    getPeer: () => peer,
+                    queryChannels: async () => {
+                        return { channels: Object.keys(ledgers).map((name) => ({ channel_id: name })) };
+                    },
+                    queryInstalledChaincodes: async () => {
+                        return { chaincodes: Array.from(chaincodes).map((name) => ({ name: name, version: '1.0', path: 'simulated' })) };
+                    }
+                };
+            },
+            disconnect: () => {
+                networks = {};
+            }
+        };
+    }
+
+    /**
+     * Disconnects the event hubs of every channel
+     */
+    function close() {
+        Object.keys(ledgers).forEach((channelName) => {
+            Array.from(ledgers[channelName].hubs).forEach((hub) => hub.disconnect());
+        });
+    }
+
+    return {
+        connect: connect,
+        close: close
+    };
+}
+
+module.exports = {
+    compileContract: compileContract,
+    createSimulator: createSimulator
+};
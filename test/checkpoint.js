@@ -0,0 +1,116 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const checkpoint = require('../nodes/lib/checkpoint');
+
+/**
+ * Creates a node whose context is kept in memory, like the Node-RED context stores
+ * @param {object} stores the values of each context store, by store name
+ * @returns {object} the node, with the errors it reported
+ */
+function createNode(stores) {
+    let node = { errors: [] };
+    node.error = (message) => node.errors.push(message);
+    node.context = () => {
+        return {
+            get: (key, store, callback) => {
+                if (typeof store === 'function') {
+                    callback = store;
+                    store = 'default';
+                }
+                callback(null, (stores[store] || {})[key]);
+            },
+            set: (key, value, store, callback) => {
+                if (typeof store === 'function') {
+                    callback = store;
+                    store = 'default';
+                }
+                if (store === 'broken') {
+                    callback(new Error('store is read only'));
+                    return;
+                }
+                stores[store] = stores[store] || {};
+                stores[store][key] = value;
+                callback(null);
+            }
+        };
+    };
+    return node;
+}
+
+describe('checkpoint', () => {
+
+    it('should start from the configured block when there is no checkpoint', async () => {
+        const checkpointer = checkpoint.createCheckpointer(createNode({}), '');
+        assert.strictEqual(await checkpointer.load(), null);
+        assert.strictEqual(checkpointer.startBlock(), undefined);
+        assert.strictEqual(checkpointer.isProcessed(0, 'tx1'), false);
+    });
+
+    it('should resume after a complete block', async () => {
+        let stores = {};
+        await checkpoint.createCheckpointer(createNode(stores), '').processed(4, null);
+        const checkpointer = checkpoint.createCheckpointer(createNode(stores), '');
+        await checkpointer.load();
+        assert.strictEqual(checkpointer.startBlock(), 5);
+        assert.strictEqual(checkpointer.isProcessed(4, null), true);
+        assert.strictEqual(checkpointer.isProcessed(5, null), false);
+    });
+
+    it('should resume in the block of the last transaction, skipping the transactions already processed', async () => {
+        let stores = {};
+        const first = checkpoint.createCheckpointer(createNode(stores), '');
+        await first.processed(3, 'tx1');
+        await first.processed(4, 'tx2');
+        await first.processed(4, 'tx3');
+        const checkpointer = checkpoint.createCheckpointer(createNode(stores), '');
+        await checkpointer.load();
+        assert.strictEqual(checkpointer.startBlock(), 4);
+        assert.strictEqual(checkpointer.isProcessed(3, 'tx1'), true);
+        assert.strictEqual(checkpointer.isProcessed(4, 'tx2'), true);
+        assert.strictEqual(checkpointer.isProcessed(4, 'tx3'), true);
+        assert.strictEqual(checkpointer.isProcessed(4, 'tx4'), false);
+        assert.strictEqual(checkpointer.isProcessed(4, null), false);
+    });
+
+    it('should keep the checkpoint in the configured store', async () => {
+        let stores = {};
+        await checkpoint.createCheckpointer(createNode(stores), 'file').processed(2, null);
+        assert.deepStrictEqual(stores, { file: { checkpoint: { blockNumber: 2, txids: [], complete: true } } });
+    });
+
+    it('should seek to the start of a block and reset', async () => {
+        let stores = {};
+        const checkpointer = checkpoint.createCheckpointer(createNode(stores), '');
+        await checkpointer.processed(9, null);
+        await checkpointer.seek(3);
+        assert.strictEqual(checkpointer.startBlock(), 3);
+        assert.strictEqual(checkpointer.isProcessed(3, 'tx1'), false);
+        assert.strictEqual(checkpointer.isProcessed(2, 'tx1'), true);
+        await checkpointer.reset();
+        assert.strictEqual(checkpointer.startBlock(), undefined);
+        assert.strictEqual(stores.default.checkpoint, undefined);
+    });
+
+    it('should report a checkpoint which cannot be saved', async () => {
+        const node = createNode({});
+        const checkpointer = checkpoint.createCheckpointer(node, 'broken');
+        await checkpointer.processed(1, null);
+        assert.deepStrictEqual(node.errors, ['Error: could not save checkpoint store is read only']);
+        assert.strictEqual(checkpointer.startBlock(), 2);
+    });
+});
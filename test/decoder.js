@@ -0,0 +1,233 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const decoder = require('../nodes/lib/decoder');
+
+/**
+ * Builds an endorser transaction envelope shaped like the envelopes decoded by the SDK BlockDecoder
+ * @param {string} txid the transaction id
+ * @param {Array} args the arguments of the transaction, the function name first
+ * @returns {object} the envelope
+ */
+function endorserEnvelope(txid, args) {
+    const header = {
+        channel_header: {
+            type: 3,
+            typeString: 'ENDORSER_TRANSACTION',
+            version: 1,
+            timestamp: 'Mon Oct 19 2026 07:14:15 GMT+0000 (Coordinated Universal Time)',
+            channel_id: 'mychannel',
+            tx_id: txid,
+            epoch: '0',
+            extension: Buffer.alloc(0)
+        },
+        signature_header: {
+            creator: { Mspid: 'Org1MSP', IdBytes: '-----BEGIN CERTIFICATE-----' },
+            nonce: Buffer.from('nonce')
+        }
+    };
+    return {
+        signature: Buffer.from('signature'),
+        payload: {
+            header: header,
+            data: {
+                actions: [{
+                    header: header.signature_header,
+                    payload: {
+                        chaincode_proposal_payload: {
+                            input: {
+                                chaincode_spec: {
+                                    type: 2,
+                                    typeString: 'NODE',
+                                    input: { args: args.map((arg) => Buffer.from(arg)), decorations: {} },
+                                    chaincode_id: { path: '', name: 'fabcar', version: '' },
+                                    timeout: 0
+                                }
+                            }
+                        },
+                        action: {
+                            proposal_response_payload: {
+                                proposal_hash: 'abcd',
+                                extension: {
+                                    results: {
+                                        data_model: 0,
+                                        ns_rwset: [{
+                                            namespace: 'fabcar',
+                                            rwset: {
+                                                reads: [
+                                                    { key: 'CAR0', version: { block_num: '4', tx_num: '1' } },
+                                                    { key: 'CAR9', version: null }
+                                                ],
+                                                range_queries_info: [],
+                                                writes: [{ key: 'CAR0', is_delete: false, value: '{"owner":"Dave"}' }],
+                                                metadata_writes: []
+                                            },
+                                            collection_hashed_rwset: []
+                                        }, {
+                                            namespace: 'lscc',
+                                            rwset: {
+                                                reads: [{ key: 'fabcar', version: { block_num: '2', tx_num: '0' } }],
+                                                range_queries_info: [],
+                                                writes: [],
+                                                metadata_writes: []
+                                            },
+                                            collection_hashed_rwset: []
+                                        }]
+                                    },
+                                    events: { chaincode_id: '', tx_id: '', event_name: '', payload: Buffer.alloc(0) },
+                                    response: { status: 200, message: '', payload: '' },
+                                    chaincode_id: { path: '', name: 'fabcar', version: '1.0' }
+                                }
+                            },
+                            endorsements: []
+                        }
+                    }
+                }]
+            }
+        }
+    };
+}
+
+/**
+ * Builds a config transaction envelope, which has no chaincode action
+ * @returns {object} the envelope
+ */
+function configEnvelope() {
+    return {
+        signature: Buffer.alloc(0),
+        payload: {
+            header: {
+                channel_header: { type: 1, typeString: 'CONFIG', version: 0, timestamp: 'Mon Oct 19 2026 07:00:00 GMT+0000', channel_id: 'mychannel', tx_id: '', epoch: '0' },
+                signature_header: { creator: { Mspid: 'OrdererMSP', IdBytes: '' }, nonce: Buffer.alloc(0) }
+            },
+            data: { config: {}, last_update: {} }
+        }
+    };
+}
+
+describe('decoder', () => {
+
+    describe('decodeBlock', () => {
+        const block = {
+            header: { number: '5', previous_hash: 'a1b2', data_hash: 'c3d4' },
+            data: { data: [endorserEnvelope('tx1', ['changeCarOwner', 'CAR0', 'Dave']), endorserEnvelope('tx2', ['changeCarOwner', 'CAR0', 'Eve'])] },
+            metadata: { metadata: [{ value: '', signatures: [] }, {}, [0, 11], Buffer.alloc(0)] }
+        };
+
+        it('should decode the header and the validation code of each transaction', () => {
+            const decoded = decoder.decodeBlock(block);
+            assert.strictEqual(decoded.number, 5);
+            assert.strictEqual(decoded.dataHash, 'c3d4');
+            assert.strictEqual(decoded.previousHash, 'a1b2');
+            assert.deepStrictEqual(decoded.transactions.map((transaction) => transaction.validationCode), ['VALID', 'MVCC_READ_CONFLICT']);
+        });
+
+        it('should decode the chaincode, the arguments and the read/write sets of an endorser transaction', () => {
+            const transaction = decoder.decodeBlock(block).transactions[0];
+            assert.deepStrictEqual(transaction, {
+                txid: 'tx1',
+                type: 'ENDORSER_TRANSACTION',
+                channel: 'mychannel',
+                timestamp: 'Mon Oct 19 2026 07:14:15 GMT+0000 (Coordinated Universal Time)',
+                creatorMspid: 'Org1MSP',
+                validationCode: 'VALID',
+                chaincodeName: 'fabcar',
+                chaincodeVersion: '1.0',
+                args: ['changeCarOwner', 'CAR0', 'Dave'],
+                rwsets: [{
+                    namespace: 'fabcar',
+                    reads: [{ key: 'CAR0', version: { blockNumber: 4, txNumber: 1 } }, { key: 'CAR9', version: null }],
+                    writes: [{ key: 'CAR0', isDelete: false, value: '{"owner":"Dave"}' }]
+                }, {
+                    namespace: 'lscc',
+                    reads: [{ key: 'fabcar', version: { blockNumber: 2, txNumber: 0 } }],
+                    writes: []
+                }]
+            });
+        });
+
+        it('should decode a config block without chaincode details', () => {
+            const decoded = decoder.decodeBlock({
+                header: { number: '0', previous_hash: '', data_hash: 'e5f6' },
+                data: { data: [configEnvelope()] },
+                metadata: { metadata: [{}, {}, Buffer.from([0]), []] }
+            });
+            assert.strictEqual(decoded.number, 0);
+            assert.deepStrictEqual(decoded.transactions, [{
+                txid: '',
+                type: 'CONFIG',
+                channel: 'mychannel',
+                timestamp: 'Mon Oct 19 2026 07:00:00 GMT+0000',
+                creatorMspid: 'OrdererMSP',
+                validationCode: 'VALID'
+            }]);
+        });
+
+        it('should mark the transactions as not validated when the block has no transactions filter', () => {
+            const decoded = decoder.decodeBlock({ header: block.header, data: block.data });
+            assert.deepStrictEqual(decoded.transactions.map((transaction) => transaction.validationCode), ['NOT_VALIDATED', 'NOT_VALIDATED']);
+        });
+    });
+
+    describe('decodeFilteredBlock', () => {
+        it('should decode the transactions of a filtered block', () => {
+            const decoded = decoder.decodeFilteredBlock({
+                channel_id: 'mychannel',
+                number: '7',
+                filtered_transactions: [
+                    { txid: 'tx1', type: 'ENDORSER_TRANSACTION', tx_validation_code: 'VALID', transaction_actions: { chaincode_actions: [] }, Data: 'transaction_actions' },
+                    { txid: 'tx2', type: 'ENDORSER_TRANSACTION', tx_validation_code: 'ENDORSEMENT_POLICY_FAILURE', Data: 'transaction_actions' }
+                ],
+                type: 'filtered_block'
+            });
+            assert.deepStrictEqual(decoded, {
+                number: 7,
+                channel: 'mychannel',
+                transactions: [
+                    { txid: 'tx1', type: 'ENDORSER_TRANSACTION', validationCode: 'VALID' },
+                    { txid: 'tx2', type: 'ENDORSER_TRANSACTION', validationCode: 'ENDORSEMENT_POLICY_FAILURE' }
+                ]
+            });
+        });
+
+        it('should decode a filtered block without transactions', () => {
+            assert.deepStrictEqual(decoder.decodeFilteredBlock({ channel_id: 'mychannel', number: '0' }), { number: 0, channel: 'mychannel', transactions: [] });
+        });
+    });
+
+    describe('decodeTransaction', () => {
+        it('should decode a processed transaction with its numeric validation code', () => {
+            const transaction = decoder.decodeTransaction({ validationCode: 10, transactionEnvelope: endorserEnvelope('tx3', ['createCar', 'CAR10']) });
+            assert.strictEqual(transaction.txid, 'tx3');
+            assert.strictEqual(transaction.validationCode, 'ENDORSEMENT_POLICY_FAILURE');
+            assert.deepStrictEqual(transaction.args, ['createCar', 'CAR10']);
+        });
+    });
+
+    describe('decodeResult', () => {
+        it('should decode a result as a buffer, utf8 or json', () => {
+            const result = Buffer.from('{"make":"Toyota"}');
+            assert.strictEqual(decoder.decodeResult(result, 'buffer'), result);
+            assert.strictEqual(decoder.decodeResult(result, 'utf8'), '{"make":"Toyota"}');
+            assert.deepStrictEqual(decoder.decodeResult(result, 'json'), { make: 'Toyota' });
+        });
+
+        it('should fall back to utf8 when a json result is not valid JSON', () => {
+            assert.strictEqual(decoder.decodeResult(Buffer.from('CAR0'), 'json'), 'CAR0');
+        });
+    });
+});
@@ -0,0 +1,130 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const errors = require('../nodes/lib/errors');
+
+/**
+ * Builds the error the SDK Peer rejects a proposal with when the peer answers with an error status
+ * @param {string} message the message of the response
+ * @param {number} status the status of the response
+ * @returns {Error} the error
+ */
+function proposalError(message, status = 500) {
+    let error = Object.assign(new Error(message), { status: status, message: message, payload: Buffer.alloc(0) });
+    error.peer = { name: 'peer0.org1.example.com', url: 'grpcs://localhost:7051' };
+    error.isProposalResponse = true;
+    return error;
+}
+
+/**
+ * Builds the error Transaction.submit rejects with when no peer endorsed the proposal
+ * @param {Array} responses the responses of the peers, errors for the peers which failed
+ * @returns {Error} the error
+ */
+function submitError(responses) {
+    const failed = responses.filter((response) => response instanceof Error);
+    const messages = failed.map((response) => 'peer=' + (response.peer ? response.peer.name : 'peer0.org1.example.com') + ', status=' + response.status + ', message=' + response.message);
+    let error = new Error(['No valid responses from any peers. ' + failed.length + ' peer error responses:'].concat(messages).join('\n    '));
+    error.responses = responses;
+    return error;
+}
+
+/**
+ * Builds the error the transaction event handler rejects with when the commit is not seen in time
+ * @param {string} message the message
+ * @returns {Error} the error
+ */
+function timeoutError(message) {
+    let error = new Error(message);
+    error.name = 'TimeoutError';
+    return error;
+}
+
+describe('errors', () => {
+
+    describe('classify', () => {
+        it('should classify an evaluation rejected by the chaincode', () => {
+            const classified = errors.classify(proposalError('Car CAR99 does not exist'));
+            assert.deepStrictEqual(classified, { code: errors.CHAINCODE_ERROR, message: 'Car CAR99 does not exist', chaincodeMessage: 'Car CAR99 does not exist' });
+        });
+
+        it('should classify an unknown transaction function as a chaincode error', () => {
+            const classified = errors.classify(proposalError('Invalid Smart Contract function name.'));
+            assert.strictEqual(classified.code, errors.CHAINCODE_ERROR);
+        });
+
+        it('should not take a chaincode message for a timeout or a connection failure', () => {
+            assert.strictEqual(errors.classify(proposalError('the order timed out')).code, errors.CHAINCODE_ERROR);
+            assert.strictEqual(errors.classify(proposalError('supplier UNAVAILABLE')).code, errors.CHAINCODE_ERROR);
+        });
+
+        it('should classify a submit rejected by every peer with the message of the chaincode', () => {
+            const classified = errors.classify(submitError([proposalError('transaction returned with failure: Car CAR99 does not exist'), proposalError('transaction returned with failure: Car CAR99 does not exist')]));
+            assert.strictEqual(classified.code, errors.CHAINCODE_ERROR);
+            assert.strictEqual(classified.chaincodeMessage, 'Car CAR99 does not exist');
+            assert.ok(classified.message.startsWith('No valid responses from any peers. 2 peer error responses:'));
+        });
+
+        it('should classify a submit with a chaincode rejection and an unreachable peer as a chaincode error', () => {
+            const classified = errors.classify(submitError([new Error('14 UNAVAILABLE: failed to connect to all addresses'), proposalError('Car CAR99 does not exist')]));
+            assert.strictEqual(classified.code, errors.CHAINCODE_ERROR);
+            assert.strictEqual(classified.chaincodeMessage, 'Car CAR99 does not exist');
+        });
+
+        it('should classify a submit whose peers are unreachable as a connection failure', () => {
+            const classified = errors.classify(submitError([new Error('14 UNAVAILABLE: failed to connect to all addresses')]));
+            assert.strictEqual(classified.code, errors.CONNECTION_FAILURE);
+        });
+
+        it('should classify an endorsement which timed out', () => {
+            assert.strictEqual(errors.classify(submitError([new Error('REQUEST_TIMEOUT')])).code, errors.TIMEOUT);
+        });
+
+        it('should classify a commit which timed out', () => {
+            const classified = errors.classify(timeoutError('Event strategy not satisfied within the timeout period. No response received from event hubs.'));
+            assert.strictEqual(classified.code, errors.TIMEOUT);
+        });
+
+        it('should classify an invalidated transaction by its validation code', () => {
+            let error = new Error('Peer peer0.org1.example.com has rejected transaction "tx1" with code "MVCC_READ_CONFLICT"');
+            error.transactionId = 'tx1';
+            error.transactionCode = 'MVCC_READ_CONFLICT';
+            assert.deepStrictEqual(errors.classify(error), { code: errors.MVCC_CONFLICT, message: error.message, transactionId: 'tx1', validationCode: 'MVCC_READ_CONFLICT' });
+            error.transactionCode = 'ENDORSEMENT_POLICY_FAILURE';
+            assert.strictEqual(errors.classify(error).code, errors.ENDORSEMENT_FAILURE);
+            error.transactionCode = 'BAD_PAYLOAD';
+            assert.strictEqual(errors.classify(error).code, errors.INVALID_TRANSACTION);
+        });
+
+        it('should classify mismatched endorsements', () => {
+            assert.strictEqual(errors.classify(new Error('ProposalResponsePayloads do not match')).code, errors.ENDORSEMENT_FAILURE);
+        });
+
+        it('should classify a gateway which cannot connect', () => {
+            assert.strictEqual(errors.classify(new Error('Failed to connect before the deadline URL:grpcs://localhost:7051')).code, errors.CONNECTION_FAILURE);
+        });
+
+        it('should classify a request rejected before its proposal', () => {
+            assert.strictEqual(errors.classify(errors.invalidRequest('transaction createCar expects 5 arguments, got 2')).code, errors.INVALID_REQUEST);
+        });
+
+        it('should classify anything else as unknown', () => {
+            assert.deepStrictEqual(errors.classify(new Error('something else')), { code: errors.UNKNOWN, message: 'something else' });
+            assert.deepStrictEqual(errors.classify('failure'), { code: errors.UNKNOWN, message: 'failure' });
+        });
+    });
+});
@@ -0,0 +1,270 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const metricsLib = require('../nodes/lib/metrics');
+const pool = require('../nodes/lib/pool');
+const simulator = require('../nodes/lib/simulator');
+
+/**
+ * Creates an event hub whose events, connection and failures are driven by the test
+ * @param {string} name the name of the peer
+ * @returns {object} the event hub
+ */
+function createHub(name) {
+    let hub = { listeners: [], connecting: [] };
+    hub.getName = () => name;
+    hub.getPeerAddr = () => name + ':7051';
+    hub.registerChaincodeEvent = (chaincodeName, eventName, onEvent, onError, options) => {
+        const listener = { onEvent: onEvent, onError: onError, options: options };
+        hub.listeners.push(listener);
+        return listener;
+    };
+    hub.connect = (full, connectCallback) => hub.connecting.push(connectCallback);
+    hub.connected = () => hub.connecting.splice(0).forEach((connectCallback) => connectCallback(null, hub));
+    hub.emit = (txid, blockNumber) => hub.listeners.forEach((listener) => {
+        listener.onEvent({ event_name: 'put', payload: Buffer.from('value') }, String(blockNumber), txid, 'VALID');
+    });
+    hub.fail = (error) => {
+        const listeners = hub.listeners.splice(0);
+        listeners.forEach((listener) => listener.onError(error));
+        hub.connecting.splice(0).forEach((connectCallback) => connectCallback(error, hub));
+    };
+    hub.disconnect = () => hub.fail(new Error('ChannelEventHub has been shutdown'));
+    return hub;
+}
+
+/**
+ * Creates a gateway whose channel listens on the given event hubs
+ * @param {Array} hubs the event hubs of the organization
+ * @returns {object} the gateway
+ */
+function createHubGateway(hubs) {
+    const channel = {
+        getChannelEventHubsForOrg: () => hubs,
+        newChannelEventHub: (name) => hubs.find((hub) => hub.getName() === name)
+    };
+    return {
+        getNetwork: async () => {
+            return { getChannel: () => channel, getContract: async () => ({}) };
+        },
+        getCurrentIdentity: () => {
+            return { getName: () => 'admin' };
+        }
+    };
+}
+
+/**
+ * Creates a Node-RED runtime holding a connection of the identity admin, which allows the identity bob too
+ * @param {Function} connectGateway returns the gateway of an identity
+ * @returns {object} the runtime
+ */
+function createRED(connectGateway) {
+    let types = {};
+    let nodes = {};
+    const allowList = pool.parseAllowList('bob');
+    nodes.connection = {
+        identityName: 'admin',
+        metrics: metricsLib.createMetrics('connection'),
+        acquired: [],
+        released: 0,
+        showConfigError: () => true,
+        isIdentityAllowed: (identityName) => identityName === 'admin' || allowList.some((matches) => matches(identityName)),
+        gateways: {
+            acquire: async (identityName) => {
+                nodes.connection.acquired.push(identityName);
+                return { gateway: connectGateway(identityName), release: () => nodes.connection.released++ };
+            },
+            reportError: () => {}
+        }
+    };
+    return {
+        nodes: {
+            createNode: (node, config) => {
+                EventEmitter.call(node);
+                Object.assign(node, EventEmitter.prototype);
+                node.id = config.id;
+                node.sent = [];
+                node.warnings = [];
+                node.errors = [];
+                node.send = (msg) => node.sent.push(msg);
+                node.status = () => {};
+                node.log = () => {};
+                node.warn = (message) => node.warnings.push(message);
+                node.error = (error) => node.errors.push(error);
+                nodes[config.id] = node;
+            },
+            registerType: (name, constructor) => {
+                types[name] = constructor;
+            },
+            getNode: (id) => nodes[id]
+        },
+        util: {
+            cloneMessage: (msg) => JSON.parse(JSON.stringify(msg)),
+            setMessageProperty: (msg, property, value) => {
+                msg[property] = value;
+            },
+            evaluateNodeProperty: (value, type, node, msg, callback) => {
+                callback(null, value.split('.').reduce((object, key) => object === undefined ? undefined : object[key], msg));
+            }
+        },
+        create: (type, config) => new types[type](Object.assign({ connection: 'connection' }, config)),
+        connection: nodes.connection
+    };
+}
+
+/**
+ * Waits until the node has subscribed and the events have been handled
+ * @returns {Promise} promise resolved on the next turn of the event loop
+ */
+function settled() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('fabric', () => {
+
+    describe('event subscriptions on several peers', () => {
+        let node;
+
+        afterEach(() => {
+            node.emit('close');
+        });
+
+        /**
+         * Starts an in node listening on the hubs
+         * @param {Array} hubs the event hubs of the organization
+         * @param {boolean} deduplicate true to send each event once
+         * @returns {Promise<object>} promise resolving to the runtime
+         */
+        async function listen(hubs, deduplicate) {
+            const RED = createRED(() => createHubGateway(hubs));
+            require('../nodes/fabric.js')(RED);
+            node = RED.create('fabric-in', { id: 'in1', channelName: 'mychannel', contractName: 'cc', deduplicate: deduplicate });
+            await settled();
+            return RED;
+        }
+
+        it('should send the events of every peer when not deduplicating', async () => {
+            const hubs = [createHub('peer0'), createHub('peer1')];
+            await listen(hubs, false);
+            hubs.forEach((hub) => hub.emit('tx1', 5));
+            assert.deepStrictEqual(node.sent.map((msg) => msg.payload.peer), ['peer0', 'peer1']);
+        });
+
+        it('should send each event once when deduplicating', async () => {
+            const hubs = [createHub('peer0'), createHub('peer1')];
+            await listen(hubs, true);
+            hubs[0].emit('tx1', 5);
+            hubs[1].emit('tx1', 5);
+            hubs[1].emit('tx2', 6);
+            hubs[0].emit('tx2', 6);
+            assert.deepStrictEqual(node.sent.map((msg) => [msg.payload.txid, msg.payload.peer]), [['tx1', 'peer0'], ['tx2', 'peer1']]);
+        });
+
+        it('should report the hubs connected once they have connected', async () => {
+            const hubs = [createHub('peer0')];
+            const RED = await listen(hubs, true);
+            assert.strictEqual(RED.connection.metrics.get('in1'), null);
+            hubs[0].connected();
+            assert.strictEqual(RED.connection.metrics.get('in1').gauges.state, 'connected');
+            assert.strictEqual(RED.connection.metrics.get('in1').counters.hubConnected, 1);
+        });
+
+        it('should listen again on a peer which disconnects while the other peers keep sending the events', async () => {
+            const hubs = [createHub('peer0'), createHub('peer1')];
+            const RED = await listen(hubs, true);
+            hubs.forEach((hub) => hub.connected());
+            hubs[0].emit('tx1', 5);
+            hubs[0].fail(new Error('14 UNAVAILABLE: Connection dropped'));
+            hubs[1].emit('tx1', 5);
+            hubs[1].emit('tx2', 6);
+            assert.deepStrictEqual(node.sent.map((msg) => msg.payload.txid), ['tx1', 'tx2']);
+            assert.deepStrictEqual(node.warnings, ['Event hub peer0 disconnected, listening again in 5000ms: 14 UNAVAILABLE: Connection dropped']);
+            assert.deepStrictEqual(node.errors, []);
+            const stats = RED.connection.metrics.get('in1');
+            assert.strictEqual(stats.gauges.state, 'disconnected');
+            assert.strictEqual(stats.gauges.peer, 'peer0');
+            assert.strictEqual(RED.connection.released, 0);
+        });
+
+        it('should report the error of a peer which disconnects when not deduplicating', async () => {
+            const hubs = [createHub('peer0'), createHub('peer1')];
+            await listen(hubs, false);
+            hubs[0].fail(new Error('14 UNAVAILABLE: Connection dropped'));
+            assert.deepStrictEqual(node.warnings, []);
+            assert.strictEqual(node.errors.length, 1);
+        });
+    });
+
+    describe('identities chosen by the messages', () => {
+        let node;
+        let RED;
+
+        beforeEach(async () => {
+            const network = simulator.createSimulator({ contract: 'keyvalue' });
+            RED = createRED((identityName) => network.connect(identityName));
+            require('../nodes/fabric.js')(RED);
+            const writer = network.connect('admin');
+            await (await writer.getNetwork('mychannel')).getContract('cc').submitTransaction('put', 'key1', 'value1');
+            node = RED.create('fabric-mid', {
+                id: 'mid1',
+                channelName: 'mychannel',
+                contractName: 'cc',
+                actionType: 'evaluate',
+                output: 'utf8',
+                errorOutput: true
+            });
+        });
+
+        afterEach(() => {
+            node.emit('close');
+        });
+
+        /**
+         * Sends a get transaction to the node and waits for its output
+         * @param {object} msg the msg object, with its identity
+         * @returns {Promise<Array|object>} promise resolving to what the node sent
+         */
+        async function get(msg) {
+            node.emit('input', Object.assign({ payload: { transactionName: 'get', transactionArgs: ['key1'] } }, msg));
+            for (let turn = 0; turn < 10 && node.sent.length === 0; turn++) {
+                await new Promise((resolve) => setImmediate(resolve));
+            }
+            return node.sent[0];
+        }
+
+        it('should use the identity of the connection by default', async () => {
+            const sent = await get({});
+            assert.strictEqual(sent.payload, 'value1');
+            assert.deepStrictEqual(RED.connection.acquired, ['admin']);
+            assert.strictEqual(RED.connection.released, 1);
+        });
+
+        it('should use an identity allowed by the connection', async () => {
+            const sent = await get({ identity: 'bob' });
+            assert.strictEqual(sent.payload, 'value1');
+            assert.deepStrictEqual(RED.connection.acquired, ['bob']);
+        });
+
+        it('should reject an identity not allowed by the connection', async () => {
+            const sent = await get({ identity: 'eve' });
+            assert.strictEqual(sent[0], null);
+            assert.deepStrictEqual(sent[1].error, { code: 'INVALID_REQUEST', message: 'identity eve is not allowed by the connection' });
+            assert.deepStrictEqual(RED.connection.acquired, []);
+        });
+    });
+});
@@ -0,0 +1,70 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const failover = require('../nodes/lib/failover');
+
+describe('failover', () => {
+
+    describe('createDeduplicator', () => {
+
+        it('should let each key through once', () => {
+            const isNew = failover.createDeduplicator();
+            assert.deepStrictEqual(['tx1/put', 'tx2/put', 'tx1/put', 'tx1/delete', 'tx2/put'].map(isNew), [true, true, false, true, false]);
+        });
+
+        it('should forget the oldest keys beyond its size', () => {
+            const isNew = failover.createDeduplicator(2);
+            ['tx1', 'tx2', 'tx3'].forEach(isNew);
+            assert.strictEqual(isNew('tx3'), false);
+            assert.strictEqual(isNew('tx2'), false);
+            assert.strictEqual(isNew('tx1'), true);
+        });
+    });
+
+    describe('createFailover', () => {
+
+        it('should double the delay after each failed attempt, up to the maximum delay', () => {
+            const failovers = failover.createFailover();
+            const hub = {};
+            assert.deepStrictEqual([1, 2, 3, 4, 5, 6].map(() => failovers.failed(hub)), [5000, 10000, 20000, 40000, 60000, 60000]);
+        });
+
+        it('should give up a hub after the maximum attempts', () => {
+            const failovers = failover.createFailover({ delay: 10, maxAttempts: 2 });
+            const hub = {};
+            assert.deepStrictEqual([1, 2, 3, 4].map(() => failovers.failed(hub)), [10, 20, -1, -1]);
+        });
+
+        it('should start again from the first delay once a hub has connected', () => {
+            const failovers = failover.createFailover({ delay: 10, maxAttempts: 2 });
+            const hub = {};
+            failovers.failed(hub);
+            failovers.failed(hub);
+            failovers.connected(hub);
+            assert.strictEqual(failovers.failed(hub), 10);
+        });
+
+        it('should count the attempts of each hub on its own', () => {
+            const failovers = failover.createFailover({ delay: 10 });
+            const first = {};
+            const second = {};
+            failovers.failed(first);
+            assert.strictEqual(failovers.failed(second), 10);
+            assert.strictEqual(failovers.failed(first), 20);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const metadata = require('../nodes/lib/metadata');
+
+// The metadata returned by GetMetadata for a chaincode with two contracts, the second one being the default
+const CHAINCODE_METADATA = {
+    $schema: 'https://fabric-shim.github.io/release-1.4/contract-schema.json',
+    contracts: {
+        Audit: {
+            name: 'Audit',
+            contractInstance: { name: 'Audit' },
+            transactions: [
+                { name: 'record', tag: ['submitTx'], parameters: [{ name: 'entry', description: '', schema: { type: 'string' } }] }
+            ],
+            info: { title: '', version: '' }
+        },
+        FabCar: {
+            name: 'FabCar',
+            contractInstance: { name: 'FabCar', default: true },
+            transactions: [
+                {
+                    name: 'createCar',
+                    tag: ['submitTx'],
+                    parameters: [
+                        { name: 'carNumber', description: '', schema: { type: 'string' } },
+                        { name: 'seats', description: '', schema: { type: 'integer' } },
+                        { name: 'electric', description: '', schema: { type: 'boolean' } },
+                        { name: 'owners', description: '', schema: { type: 'array', items: { type: 'string' } } },
+                        { name: 'car', description: '', schema: { $ref: '#/components/schemas/Car' } }
+                    ]
+                },
+                { name: 'queryAllCars', tag: [], parameters: [] }
+            ],
+            info: { title: '', version: '' }
+        },
+        'org.hyperledger.fabric': {
+            name: 'org.hyperledger.fabric',
+            contractInstance: { name: 'org.hyperledger.fabric' },
+            transactions: [{ name: 'GetMetadata' }],
+            info: { title: '', version: '' }
+        }
+    },
+    info: { version: '1.0.0', title: 'fabcar' },
+    components: { schemas: { Car: { $id: 'Car', type: 'object', properties: [{ name: 'make', type: 'string' }] } } }
+};
+
+const CREATE_CAR = ['CAR10', '4', 'true', '["Tomoko"]', '{"make":"Toyota"}'];
+
+describe('metadata', () => {
+
+    describe('listTransactions', () => {
+        it('should list the transactions of each contract, prefixed by their contract unless it is the default', () => {
+            assert.deepStrictEqual(metadata.listTransactions(CHAINCODE_METADATA).map((transaction) => transaction.name), ['Audit:record', 'createCar', 'queryAllCars']);
+        });
+
+        it('should describe the parameters of a transaction and whether it is submitted', () => {
+            const createCar = metadata.listTransactions(CHAINCODE_METADATA).find((transaction) => transaction.name === 'createCar');
+            assert.strictEqual(createCar.submit, true);
+            assert.deepStrictEqual(createCar.parameters.map((parameter) => parameter.type), ['string', 'integer', 'boolean', 'array', 'object']);
+        });
+    });
+
+    describe('validateArguments', () => {
+        it('should accept arguments matching the parameters of the transaction', () => {
+            assert.strictEqual(metadata.validateArguments(CHAINCODE_METADATA, 'createCar', CREATE_CAR), null);
+            assert.strictEqual(metadata.validateArguments(CHAINCODE_METADATA, 'FabCar:createCar', CREATE_CAR), null);
+            assert.strictEqual(metadata.validateArguments(CHAINCODE_METADATA, 'Audit:record', ['anything']), null);
+        });
+
+        it('should accept the GetMetadata system transaction', () => {
+            assert.strictEqual(metadata.validateArguments(CHAINCODE_METADATA, metadata.GET_METADATA, []), null);
+        });
+
+        it('should reject a transaction which is not in the contract', () => {
+            assert.strictEqual(metadata.validateArguments(CHAINCODE_METADATA, 'record', ['entry']),
+                'transaction record is not in the contract, known transactions are Audit:record, createCar, queryAllCars');
+        });
+
+        it('should reject the wrong number of arguments', () => {
+            assert.strictEqual(metadata.validateArguments(CHAINCODE_METADATA, 'createCar', ['CAR10']),
+                'transaction createCar expects 5 arguments (carNumber, seats, electric, owners, car), got 1');
+        });
+
+        it('should reject arguments which are not JSON of the type of their parameter', () => {
+            const invalid = (index, value) => {
+                let args = CREATE_CAR.slice();
+                args[index] = value;
+                return metadata.validateArguments(CHAINCODE_METADATA, 'createCar', args);
+            };
+            assert.strictEqual(invalid(1, '4.5'), 'argument 1 (seats) of transaction createCar should be of type integer, got "4.5"');
+            assert.strictEqual(invalid(2, 'yes'), 'argument 2 (electric) of transaction createCar should be of type boolean, got "yes"');
+            assert.strictEqual(invalid(3, '{}'), 'argument 3 (owners) of transaction createCar should be of type array, got "{}"');
+            assert.strictEqual(invalid(4, 'null'), 'argument 4 (car) of transaction createCar should be of type object, got "null"');
+        });
+
+        it('should use the first contract when none is flagged as default', () => {
+            const contracts = Object.assign({}, CHAINCODE_METADATA.contracts, { FabCar: Object.assign({}, CHAINCODE_METADATA.contracts.FabCar, { contractInstance: { name: 'FabCar' } }) });
+            const unflagged = Object.assign({}, CHAINCODE_METADATA, { contracts: contracts });
+            assert.strictEqual(metadata.validateArguments(unflagged, 'record', ['entry']), null);
+        });
+    });
+});
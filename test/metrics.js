@@ -0,0 +1,127 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const metricsLib = require('../nodes/lib/metrics');
+
+/**
+ * Runs a function with the clock set to a given time
+ * @param {number} time the time in ms
+ * @param {Function} fn the function
+ * @returns {any} what the function returned
+ */
+function at(time, fn) {
+    const now = Date.now;
+    Date.now = () => time;
+    try {
+        return fn();
+    } finally {
+        Date.now = now;
+    }
+}
+
+describe('metrics', () => {
+
+    it('should add up the counters of the nodes in the connection scope', () => {
+        const metrics = metricsLib.createMetrics('connection');
+        metrics.count('node1', 'transactions');
+        metrics.count('node2', 'transactions', 2);
+        assert.strictEqual(metrics.get('node1').counters.transactions, 1);
+        assert.strictEqual(metrics.get('node2').counters.transactions, 2);
+        assert.strictEqual(metrics.get('connection').counters.transactions, 3);
+        assert.strictEqual(metrics.get('node3'), null);
+    });
+
+    it('should count the rates over the last minute', () => {
+        const metrics = metricsLib.createMetrics('connection');
+        const start = 1000000 * 1000;
+        at(start, () => metrics.count('node1', 'events', 3));
+        at(start + 30000, () => metrics.count('node1', 'events', 2));
+        assert.strictEqual(at(start + 59000, () => metrics.get('node1').perMinute.events), 5);
+        assert.strictEqual(at(start + 60000, () => metrics.get('node1').perMinute.events), 2);
+        assert.strictEqual(at(start + 120000, () => metrics.get('node1').perMinute.events), 0);
+        assert.strictEqual(at(start + 120000, () => metrics.get('node1').counters.events), 5);
+    });
+
+    it('should summarize the latencies with nearest rank percentiles', () => {
+        const metrics = metricsLib.createMetrics('connection');
+        for (let latency = 100; latency >= 1; latency--) {
+            metrics.observe('node1', 'commit', latency);
+        }
+        metrics.observe('node2', 'commit', 1000);
+        const snapshot = metrics.snapshot();
+        assert.deepStrictEqual(snapshot.scopes.node1.latency.commit, { count: 100, mean: 51, p50: 50, p90: 90, p99: 99, max: 100 });
+        assert.deepStrictEqual(snapshot.scopes.node2.latency.commit, { count: 1, mean: 1000, p50: 1000, p90: 1000, p99: 1000, max: 1000 });
+        assert.strictEqual(snapshot.scopes.connection.latency.commit.count, 101);
+    });
+
+    it('should keep the last 1000 latencies', () => {
+        const metrics = metricsLib.createMetrics('connection');
+        for (let latency = 1; latency <= 1500; latency++) {
+            metrics.observe('node1', 'evaluate', latency);
+        }
+        const summary = metrics.snapshot().scopes.node1.latency.evaluate;
+        assert.strictEqual(summary.count, 1000);
+        assert.strictEqual(summary.p50, 1000);
+        assert.strictEqual(summary.max, 1500);
+    });
+
+    it('should report a node failing until an operation succeeds', () => {
+        const metrics = metricsLib.createMetrics('connection');
+        at(1000, () => metrics.error('node1', { code: 'TIMEOUT', message: 'timed out' }));
+        assert.strictEqual(metrics.get('node1').failing, true);
+        assert.deepStrictEqual(metrics.get('node1').lastError, { code: 'TIMEOUT', message: 'timed out', at: 1000 });
+        assert.strictEqual(metrics.get('node1').counters.errors, 1);
+        at(2000, () => metrics.success('node1'));
+        assert.strictEqual(metrics.get('node1').failing, false);
+        assert.strictEqual(metrics.get('connection').failing, false);
+    });
+
+    it('should return the events recorded after a sequence number in the snapshot', () => {
+        const metrics = metricsLib.createMetrics('connection');
+        metrics.event('node1', 'hubConnected', { peer: 'peer0' });
+        const first = metrics.snapshot();
+        metrics.event(null, 'gatewayConnected', { identity: 'admin' });
+        const second = metrics.snapshot(first.sequence);
+        assert.deepStrictEqual(first.events.map((event) => [event.type, event.node, event.peer]), [['hubConnected', 'node1', 'peer0']]);
+        assert.deepStrictEqual(second.events.map((event) => [event.type, event.node, event.identity]), [['gatewayConnected', 'connection', 'admin']]);
+        assert.strictEqual(second.sequence, 2);
+        assert.strictEqual(second.scopes.connection.counters.gatewayConnected, 1);
+        assert.strictEqual(second.scopes.connection.counters.hubConnected, 1);
+    });
+
+    it('should clear everything but the gauges when it is reset', () => {
+        const metrics = metricsLib.createMetrics('connection');
+        metrics.count('node1', 'events');
+        metrics.observe('node1', 'commit', 10);
+        metrics.gauge('node1', 'state', 'connected');
+        metrics.error('node1', { code: 'TIMEOUT', message: 'timed out' });
+        metrics.event('node1', 'hubDisconnected', { peer: 'peer0' });
+        metrics.reset();
+        const snapshot = metrics.snapshot();
+        assert.deepStrictEqual(snapshot.scopes.node1, {
+            counters: {},
+            perMinute: {},
+            gauges: { state: 'connected' },
+            lastError: null,
+            failing: false,
+            latency: {}
+        });
+        assert.deepStrictEqual(snapshot.events, []);
+        metrics.event('node1', 'hubConnected', { peer: 'peer0' });
+        assert.strictEqual(metrics.snapshot().events[0].sequence, 2);
+    });
+});
@@ -0,0 +1,164 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const pool = require('../nodes/lib/pool');
+const metricsLib = require('../nodes/lib/metrics');
+
+/**
+ * Creates a config node owning a pool
+ * @returns {object} the node
+ */
+function createNode() {
+    let node = { id: 'connection', warnings: [] };
+    node.getProfile = () => {
+        return { name: 'profile' };
+    };
+    node.metrics = metricsLib.createMetrics(node.id);
+    node.log = () => {};
+    node.warn = (message) => node.warnings.push(message);
+    return node;
+}
+
+/**
+ * Connects a gateway which records when it is disconnected
+ * @param {string} identityName identityName
+ * @returns {Promise<object>} promise resolving to the gateway
+ */
+async function connectGateway(identityName) {
+    let gateway = { identityName: identityName, disconnected: false };
+    gateway.disconnect = () => {
+        gateway.disconnected = true;
+    };
+    return gateway;
+}
+
+/**
+ * Waits for the given amount of time
+ * @param {number} delay the delay in ms
+ * @returns {Promise} promise
+ */
+function wait(delay) {
+    return new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+describe('pool', () => {
+
+    describe('parseAllowList', () => {
+
+        /**
+         * Tells if an allow-list allows an identity
+         * @param {string} value the configured allow-list
+         * @param {string} identityName identityName
+         * @returns {boolean} true if an entry matches the identity
+         */
+        function allows(value, identityName) {
+            return pool.parseAllowList(value).some((matches) => matches(identityName));
+        }
+
+        it('should allow nothing when it is empty', () => {
+            assert.deepStrictEqual(pool.parseAllowList(''), []);
+            assert.deepStrictEqual(pool.parseAllowList(undefined), []);
+            assert.deepStrictEqual(pool.parseAllowList(' , '), []);
+        });
+
+        it('should allow the names listed', () => {
+            assert.strictEqual(allows('alice, bob', 'bob'), true);
+            assert.strictEqual(allows('alice, bob', 'bobby'), false);
+            assert.strictEqual(allows('alice, bob', 'eve'), false);
+        });
+
+        it('should allow the names matching a pattern as a whole', () => {
+            assert.strictEqual(allows('alice,/app-[0-9]+/', 'app-12'), true);
+            assert.strictEqual(allows('alice,/app-[0-9]+/', 'app-12-admin'), false);
+            assert.strictEqual(allows('alice,/app-[0-9]+/', 'my-app-12'), false);
+            assert.strictEqual(allows('/alice|bob/', 'bob'), true);
+        });
+
+        it('should reject an invalid pattern', () => {
+            assert.throws(() => pool.parseAllowList('alice,/app-[/'), /invalid identity pattern \/app-\[\//);
+        });
+    });
+
+    describe('createGatewayPool', () => {
+        let gateways;
+
+        afterEach(() => {
+            gateways.disconnect();
+        });
+
+        it('should share the gateway of an identity', async () => {
+            gateways = pool.createGatewayPool(createNode(), 0, connectGateway);
+            const lease = await gateways.acquire('alice');
+            assert.strictEqual(await gateways.get('alice'), lease.gateway);
+            assert.notStrictEqual(await gateways.get('bob'), lease.gateway);
+            lease.release();
+        });
+
+        it('should disconnect the gateways idle for the idle timeout, unless they are held', async () => {
+            gateways = pool.createGatewayPool(createNode(), 0.1, connectGateway);
+            const held = await gateways.acquire('alice');
+            const idle = await gateways.get('bob');
+            await wait(1200);
+            assert.strictEqual(idle.disconnected, true);
+            assert.strictEqual(held.gateway.disconnected, false);
+            assert.strictEqual(await gateways.get('alice'), held.gateway);
+            held.release();
+            held.release();
+            await wait(1200);
+            assert.strictEqual(held.gateway.disconnected, true);
+            assert.notStrictEqual(await gateways.get('alice'), held.gateway);
+        }).timeout(5000);
+
+        it('should reconnect after a connection failure, disconnecting the failed gateway once it is released', async () => {
+            const node = createNode();
+            gateways = pool.createGatewayPool(node, 0, connectGateway);
+            const lease = await gateways.acquire('alice');
+            gateways.reportError('alice', new Error('14 UNAVAILABLE: failed to connect to all addresses'));
+            assert.strictEqual(node.warnings.length, 1);
+            const gateway = await gateways.get('alice');
+            assert.notStrictEqual(gateway, lease.gateway);
+            assert.strictEqual(lease.gateway.disconnected, false);
+            lease.release();
+            assert.strictEqual(lease.gateway.disconnected, true);
+            assert.strictEqual(gateway.disconnected, false);
+        }).timeout(5000);
+
+        it('should keep the gateway after an error which is not a connection failure', async () => {
+            gateways = pool.createGatewayPool(createNode(), 0, connectGateway);
+            const gateway = await gateways.get('alice');
+            gateways.reportError('alice', new Error('transaction returned with failure: key does not exist'));
+            assert.strictEqual(await gateways.get('alice'), gateway);
+        });
+
+        it('should wait before connecting again after a failed connection', async () => {
+            const node = createNode();
+            let attempts = 0;
+            gateways = pool.createGatewayPool(node, 0, async (identityName) => {
+                attempts++;
+                if (attempts === 1) {
+                    throw new Error('14 UNAVAILABLE: failed to connect to all addresses');
+                }
+                return connectGateway(identityName);
+            });
+            await assert.rejects(gateways.get('alice'), /UNAVAILABLE/);
+            const started = Date.now();
+            await gateways.get('alice');
+            assert.ok(Date.now() - started >= 900);
+            assert.strictEqual(node.metrics.get('connection').counters.gatewayConnectFailed, 1);
+        }).timeout(5000);
+    });
+});
@@ -0,0 +1,138 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const profile = require('../nodes/lib/profile');
+
+const YAML_PROFILE = [
+    'name: first-network',
+    'client:',
+    '  organization: Org1',
+    'organizations:',
+    '  Org1:',
+    '    mspid: Org1MSP',
+    '    peers:',
+    '      - peer0.org1.example.com',
+    'peers:',
+    '  peer0.org1.example.com:',
+    '    url: grpcs://${PEER_HOST}:7051',
+    '    tlsCACerts:',
+    '      path: crypto/ca.pem',
+    ''
+].join('\n');
+
+/**
+ * Builds a JSON connection profile
+ * @param {string} tlsPath the path of the TLS CA certificate of the peer
+ * @returns {string} the profile
+ */
+function jsonProfile(tlsPath) {
+    return JSON.stringify({
+        name: 'first-network',
+        client: { organization: 'Org1' },
+        organizations: { Org1: { mspid: 'Org1MSP', peers: ['peer0.org1.example.com'] } },
+        peers: { 'peer0.org1.example.com': { url: 'grpcs://${PEER_HOST}:${PEER_PORT}', tlsCACerts: { path: tlsPath } } }
+    });
+}
+
+describe('profile', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fabric-profile-'));
+        fs.mkdirSync(path.join(dir, 'crypto'));
+        fs.writeFileSync(path.join(dir, 'crypto', 'ca.pem'), '-----BEGIN CERTIFICATE-----\n');
+        fs.writeFileSync(path.join(dir, 'connection.yaml'), YAML_PROFILE);
+        fs.writeFileSync(path.join(dir, 'broken.yaml'), 'peers: [unclosed\n');
+    });
+
+    after(() => {
+        ['crypto/ca.pem', 'connection.yaml', 'broken.yaml'].forEach((file) => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(path.join(dir, 'crypto'));
+        fs.rmdirSync(dir);
+    });
+
+    describe('load', () => {
+        it('should load a YAML file, resolving its paths against the directory of the file', () => {
+            const loaded = profile.load({ source: 'file', path: 'connection.yaml', baseDir: dir, env: { PEER_HOST: 'peer0.example.com' } });
+            assert.strictEqual(loaded.name, 'first-network');
+            assert.strictEqual(loaded.peers['peer0.org1.example.com'].url, 'grpcs://peer0.example.com:7051');
+            assert.strictEqual(loaded.peers['peer0.org1.example.com'].tlsCACerts.path, path.join(dir, 'crypto', 'ca.pem'));
+        });
+
+        it('should load an inline JSON profile, resolving its paths against the base directory', () => {
+            const loaded = profile.load({ source: 'inline', text: jsonProfile('crypto/ca.pem'), baseDir: dir, env: { PEER_HOST: 'localhost', PEER_PORT: '7051' } });
+            assert.strictEqual(loaded.peers['peer0.org1.example.com'].url, 'grpcs://localhost:7051');
+            assert.strictEqual(loaded.peers['peer0.org1.example.com'].tlsCACerts.path, path.join(dir, 'crypto', 'ca.pem'));
+        });
+
+        it('should resolve the paths of an inline profile against the fallback directory when the files are not in the base directory', () => {
+            const loaded = profile.load({ source: 'inline', text: jsonProfile('crypto/ca.pem'), baseDir: os.tmpdir(), fallbackDir: dir, env: { PEER_HOST: 'localhost', PEER_PORT: '7051' } });
+            assert.strictEqual(loaded.peers['peer0.org1.example.com'].tlsCACerts.path, path.join(dir, 'crypto', 'ca.pem'));
+        });
+
+        it('should prefer the base directory to the fallback directory', () => {
+            const loaded = profile.load({ source: 'inline', text: jsonProfile('crypto/ca.pem'), baseDir: dir, fallbackDir: os.tmpdir(), env: { PEER_HOST: 'localhost', PEER_PORT: '7051' } });
+            assert.strictEqual(loaded.peers['peer0.org1.example.com'].tlsCACerts.path, path.join(dir, 'crypto', 'ca.pem'));
+        });
+
+        it('should not resolve the paths of a profile file against the fallback directory', () => {
+            fs.writeFileSync(path.join(os.tmpdir(), path.basename(dir) + '.yaml'), YAML_PROFILE);
+            try {
+                assert.throws(() => profile.load({ source: 'file', path: path.basename(dir) + '.yaml', baseDir: os.tmpdir(), fallbackDir: dir, env: { PEER_HOST: 'localhost' } }),
+                    /tlsCACerts file .*crypto.ca\.pem does not exist/);
+            } finally {
+                fs.unlinkSync(path.join(os.tmpdir(), path.basename(dir) + '.yaml'));
+            }
+        });
+
+        it('should keep absolute paths', () => {
+            const absolute = path.join(dir, 'crypto', 'ca.pem');
+            const loaded = profile.load({ source: 'inline', text: jsonProfile(absolute), baseDir: os.tmpdir(), env: { PEER_HOST: 'localhost', PEER_PORT: '7051' } });
+            assert.strictEqual(loaded.peers['peer0.org1.example.com'].tlsCACerts.path, absolute);
+        });
+
+        it('should list the environment variables which are not set', () => {
+            assert.throws(() => profile.load({ source: 'inline', text: jsonProfile('crypto/ca.pem'), baseDir: dir, env: {} }),
+                /environment variables used in the connection profile are not set: PEER_HOST, PEER_PORT/);
+        });
+
+        it('should reject a path to a file which does not exist', () => {
+            assert.throws(() => profile.load({ source: 'inline', text: jsonProfile('crypto/missing.pem'), baseDir: dir, env: { PEER_HOST: 'localhost', PEER_PORT: '7051' } }),
+                /tlsCACerts file .*missing\.pem does not exist/);
+            assert.throws(() => profile.load({ source: 'inline', text: jsonProfile('crypto/missing.pem'), baseDir: dir, fallbackDir: os.tmpdir(), env: { PEER_HOST: 'localhost', PEER_PORT: '7051' } }),
+                /tlsCACerts file .*missing\.pem or .*missing\.pem does not exist/);
+        });
+
+        it('should reject invalid YAML and invalid JSON', () => {
+            assert.throws(() => profile.load({ source: 'file', path: 'broken.yaml', baseDir: dir, env: {} }), /invalid YAML in .*broken\.yaml/);
+            assert.throws(() => profile.load({ source: 'inline', text: '{"name": ', baseDir: dir, env: {} }), /invalid JSON in the connection profile/);
+        });
+
+        it('should reject a file which cannot be read', () => {
+            assert.throws(() => profile.load({ source: 'file', path: 'missing.yaml', baseDir: dir, env: {} }), /cannot read connection profile .*missing\.yaml/);
+        });
+
+        it('should reject a profile without peers or whose client organization is not defined', () => {
+            assert.throws(() => profile.load({ source: 'inline', text: 'name: empty\n', baseDir: dir, env: {} }), /the profile should define at least one peer/);
+            assert.throws(() => profile.load({ source: 'inline', text: 'client:\n  organization: Org2\norganizations:\n  Org1: {}\npeers:\n  peer0: {}\n', baseDir: dir, env: {} }),
+                /client organization Org2 is not in the organizations of the profile/);
+        });
+    });
+});
@@ -0,0 +1,145 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const queueLib = require('../nodes/lib/queue');
+
+/**
+ * Creates a node recording its statuses and warnings
+ * @returns {object} the node
+ */
+function createNode() {
+    let node = { statuses: [], warnings: [] };
+    node.status = (status) => node.statuses.push(status);
+    node.warn = (message) => node.warnings.push(message);
+    return node;
+}
+
+/**
+ * Creates a task which runs until it is resolved by the test
+ * @returns {object} the task, its resolve function and whether it was started
+ */
+function createTask() {
+    let task = { started: false };
+    const promise = new Promise((resolve) => {
+        task.resolve = resolve;
+    });
+    task.run = () => {
+        task.started = true;
+        return promise;
+    };
+    return task;
+}
+
+/**
+ * Waits until the tasks started and settled by the queue have run
+ * @returns {Promise} promise resolved on the next turn of the event loop
+ */
+function settled() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('queue', () => {
+
+    it('should run at most concurrency tasks at once, in order', async () => {
+        const node = createNode();
+        const queue = queueLib.createWorkQueue(node, { concurrency: '2' }, () => {});
+        const tasks = [createTask(), createTask(), createTask()];
+        const results = tasks.map((task) => queue.push(task.run));
+        await settled();
+        assert.deepStrictEqual(tasks.map((task) => task.started), [true, true, false]);
+        assert.deepStrictEqual(node.statuses[node.statuses.length - 1], { fill: 'blue', shape: 'ring', text: 'queued: 1, in flight: 2' });
+        tasks[1].resolve('second');
+        await settled();
+        assert.strictEqual(tasks[2].started, true);
+        tasks[0].resolve('first');
+        tasks[2].resolve('third');
+        assert.deepStrictEqual(await Promise.all(results), ['first', 'second', 'third']);
+    });
+
+    it('should show the live status of the node when it is idle', async () => {
+        let idle = 0;
+        const queue = queueLib.createWorkQueue(createNode(), {}, () => idle++);
+        await queue.push(async () => 'done');
+        await settled();
+        assert.ok(idle > 0);
+    });
+
+    it('should reject a failed task without stopping the queue', async () => {
+        const queue = queueLib.createWorkQueue(createNode(), { concurrency: '1' }, () => {});
+        const failed = queue.push(async () => {
+            throw new Error('failed');
+        });
+        const next = queue.push(async () => 'next');
+        await assert.rejects(failed, /failed/);
+        assert.strictEqual(await next, 'next');
+    });
+
+    it('should reject the new task when the queue is full', async () => {
+        const queue = queueLib.createWorkQueue(createNode(), { concurrency: '1', maxQueue: '1' }, () => {});
+        const running = createTask();
+        const first = queue.push(running.run);
+        const queued = queue.push(async () => 'queued');
+        await settled();
+        await assert.rejects(queue.push(async () => 'rejected'), /work queue is full, 1 transactions are queued/);
+        running.resolve('first');
+        assert.strictEqual(await first, 'first');
+        assert.strictEqual(await queued, 'queued');
+    });
+
+    it('should drop the oldest queued task when the queue is full', async () => {
+        const node = createNode();
+        const queue = queueLib.createWorkQueue(node, { concurrency: '1', maxQueue: '1', overflow: 'drop' }, () => {});
+        const running = createTask();
+        const first = queue.push(running.run);
+        const dropped = queue.push(async () => 'dropped');
+        await settled();
+        const latest = queue.push(async () => 'latest');
+        await assert.rejects(dropped, /transaction dropped from the full work queue/);
+        assert.deepStrictEqual(node.warnings, ['Work queue is full, dropped the oldest queued transaction']);
+        running.resolve('first');
+        assert.strictEqual(await first, 'first');
+        assert.strictEqual(await latest, 'latest');
+    });
+
+    it('should hold the new tasks when the queue is full, up to max queue tasks', async () => {
+        const node = createNode();
+        const queue = queueLib.createWorkQueue(node, { concurrency: '1', maxQueue: '1', overflow: 'hold' }, () => {});
+        const running = createTask();
+        const first = queue.push(running.run);
+        const queued = queue.push(async () => 'queued');
+        await settled();
+        const held = queue.push(async () => 'held');
+        assert.deepStrictEqual(node.statuses[node.statuses.length - 1], { fill: 'yellow', shape: 'ring', text: 'queued: 2, in flight: 1' });
+        await assert.rejects(queue.push(async () => 'rejected'), /work queue is full, 2 transactions are queued/);
+        running.resolve('first');
+        assert.deepStrictEqual(await Promise.all([first, queued, held]), ['first', 'queued', 'held']);
+    });
+
+    it('should reject the queued and held tasks when it is cleared', async () => {
+        const queue = queueLib.createWorkQueue(createNode(), { concurrency: '1', maxQueue: '1', overflow: 'hold' }, () => {});
+        const running = createTask();
+        const first = queue.push(running.run);
+        const queued = queue.push(async () => 'queued');
+        await settled();
+        const held = queue.push(async () => 'held');
+        queue.clear();
+        await assert.rejects(queued, /node is closing/);
+        await assert.rejects(held, /node is closing/);
+        running.resolve('first');
+        assert.strictEqual(await first, 'first');
+    });
+});
@@ -0,0 +1,124 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const retry = require('../nodes/lib/retry');
+
+/**
+ * Creates an error invalidated by the peer with a validation code, like the errors of the commit event handlers
+ * @param {string} transactionCode the validation code
+ * @returns {Error} the error
+ */
+function invalidated(transactionCode) {
+    let error = new Error('Peer localhost:7051 has rejected transaction "tx1" with code "' + transactionCode + '"');
+    error.transactionId = 'tx1';
+    error.transactionCode = transactionCode;
+    return error;
+}
+
+/**
+ * Creates a task failing with the given errors, then returning done
+ * @param {Array} failures the errors thrown by the first attempts
+ * @returns {Function} the task, counting its attempts
+ */
+function failingTask(failures) {
+    let task = async () => {
+        task.attempts++;
+        if (task.attempts <= failures.length) {
+            throw failures[task.attempts - 1];
+        }
+        return 'done';
+    };
+    task.attempts = 0;
+    return task;
+}
+
+/**
+ * Creates a node recording its warnings
+ * @returns {object} the node
+ */
+function createNode() {
+    let node = { warnings: [] };
+    node.warn = (message) => node.warnings.push(message);
+    return node;
+}
+
+describe('retry', () => {
+
+    describe('retryPolicy', () => {
+
+        it('should not retry by default', () => {
+            assert.deepStrictEqual(retry.retryPolicy({}), { maxAttempts: 1, backoff: 1000, retryOn: [] });
+        });
+
+        it('should read the attempts, the backoff and the retried codes of the node', () => {
+            const policy = retry.retryPolicy({ retryMaxAttempts: '3', retryBackoff: '50', retryOn: 'MVCC_CONFLICT,TIMEOUT' });
+            assert.deepStrictEqual(policy, { maxAttempts: 3, backoff: 50, retryOn: ['MVCC_CONFLICT', 'TIMEOUT'] });
+        });
+    });
+
+    describe('withRetry', () => {
+
+        it('should return the result of the first successful attempt', async () => {
+            const node = createNode();
+            const task = failingTask([invalidated('MVCC_READ_CONFLICT')]);
+            const policy = retry.retryPolicy({ retryMaxAttempts: '3', retryBackoff: '1', retryOn: 'MVCC_CONFLICT' });
+            assert.strictEqual(await retry.withRetry(node, policy, task), 'done');
+            assert.strictEqual(task.attempts, 2);
+        });
+
+        it('should double the backoff after each attempt', async () => {
+            const node = createNode();
+            const task = failingTask([invalidated('MVCC_READ_CONFLICT'), invalidated('PHANTOM_READ_CONFLICT')]);
+            const policy = retry.retryPolicy({ retryMaxAttempts: '3', retryBackoff: '10', retryOn: 'MVCC_CONFLICT' });
+            const started = Date.now();
+            await retry.withRetry(node, policy, task);
+            assert.ok(Date.now() - started >= 30);
+            assert.deepStrictEqual(node.warnings, [
+                'Attempt 1 failed with MVCC_CONFLICT, retrying in 10ms',
+                'Attempt 2 failed with MVCC_CONFLICT, retrying in 20ms'
+            ]);
+        });
+
+        it('should not retry the errors whose class is not retried', async () => {
+            const node = createNode();
+            const task = failingTask([invalidated('ENDORSEMENT_POLICY_FAILURE')]);
+            const policy = retry.retryPolicy({ retryMaxAttempts: '3', retryBackoff: '1', retryOn: 'MVCC_CONFLICT' });
+            const error = await retry.withRetry(node, policy, task).then(() => null, (failure) => failure);
+            assert.strictEqual(task.attempts, 1);
+            assert.strictEqual(error.classified.code, 'ENDORSEMENT_FAILURE');
+            assert.strictEqual(error.classified.attempts, 1);
+            assert.deepStrictEqual(node.warnings, []);
+        });
+
+        it('should give up after the last attempt with the last error', async () => {
+            const node = createNode();
+            const failures = [invalidated('MVCC_READ_CONFLICT'), invalidated('MVCC_READ_CONFLICT'), invalidated('PHANTOM_READ_CONFLICT')];
+            const task = failingTask(failures);
+            const policy = retry.retryPolicy({ retryMaxAttempts: '3', retryBackoff: '1', retryOn: 'MVCC_CONFLICT' });
+            const error = await retry.withRetry(node, policy, task).then(() => null, (failure) => failure);
+            assert.strictEqual(task.attempts, 3);
+            assert.strictEqual(error, failures[2]);
+            assert.deepStrictEqual(error.classified, {
+                code: 'MVCC_CONFLICT',
+                message: failures[2].message,
+                transactionId: 'tx1',
+                validationCode: 'PHANTOM_READ_CONFLICT',
+                attempts: 3
+            });
+        });
+    });
+});
@@ -0,0 +1,168 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const simulator = require('../nodes/lib/simulator');
+
+// A contract counting by key, which yields between reading and writing the counter
+const COUNTER_CONTRACT = `
+module.exports = {
+    increment: async (ctx, key) => {
+        const value = await ctx.stub.getState(key);
+        await Promise.resolve();
+        const count = (value.length === 0 ? 0 : Number(value.toString())) + 1;
+        await ctx.stub.putState(key, Buffer.from(String(count)));
+        return String(count);
+    },
+    putBytes: async (ctx, key) => {
+        await ctx.stub.putState(key, Buffer.from([0xff, 0x00, 0xc3]));
+    },
+    get: async (ctx, key) => ctx.stub.getState(key)
+};`;
+
+/**
+ * Connects to a channel of a simulated network
+ * @param {object} options the simulation options
+ * @returns {Promise<object>} promise resolving to the simulator, the channel and the contract of the chaincode cc
+ */
+async function connect(options) {
+    const network = simulator.createSimulator(options);
+    const fabricNetwork = await network.connect('user1').getNetwork('mychannel');
+    return {
+        simulator: network,
+        channel: fabricNetwork.getChannel(),
+        contract: fabricNetwork.getContract('cc')
+    };
+}
+
+/**
+ * Waits until the blocks appended to the ledger are delivered to the event hubs
+ * @returns {Promise} promise resolved on the next turn of the event loop
+ */
+function delivered() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('simulator', () => {
+
+    it('should return the results of the submitted and evaluated transactions', async () => {
+        const { contract } = await connect({ contract: 'keyvalue' });
+        assert.strictEqual((await contract.submitTransaction('put', 'key1', 'value1')).toString(), 'value1');
+        assert.strictEqual((await contract.evaluateTransaction('get', 'key1')).toString(), 'value1');
+        await assert.rejects(contract.evaluateTransaction('get', 'key2'), /transaction returned with failure: key key2 does not exist/);
+        await assert.rejects(contract.evaluateTransaction('unknown'), /function that does not exist: unknown/);
+    });
+
+    it('should commit each submitted transaction in its own block, but not the evaluated transactions', async () => {
+        const { channel, contract } = await connect({ contract: 'keyvalue' });
+        const transaction = contract.createTransaction('put');
+        await transaction.submit('key1', 'value1');
+        await contract.submitTransaction('delete', 'key1');
+        await contract.evaluateTransaction('getRange', '', '');
+        const info = await channel.queryInfo();
+        assert.strictEqual(info.height, 3);
+        const block = await channel.queryBlock(1);
+        assert.strictEqual(block.data.data.length, 1);
+        assert.strictEqual(block.data.data[0].payload.header.channel_header.tx_id, transaction.getTransactionID().getTransactionID());
+        assert.deepStrictEqual(block.metadata.metadata[2], [0]);
+        assert.strictEqual((await channel.queryBlockByHash(info.currentBlockHash)).header.number, '2');
+        assert.strictEqual((await channel.queryBlockByTxID(transaction.getTransactionID().getTransactionID())).header.number, '1');
+    });
+
+    it('should deliver the chaincode events and the blocks to the event hubs', async () => {
+        const { channel, contract } = await connect({ contract: 'keyvalue' });
+        const hub = channel.newChannelEventHub('peer0.simulated');
+        let events = [];
+        let blocks = [];
+        hub.registerChaincodeEvent('cc', 'put', (event, blockNumber, txid, status) => events.push({ event, blockNumber, txid, status }), () => {});
+        hub.registerBlockEvent((block) => blocks.push(block.header.number), () => {});
+        hub.connect(true);
+        await contract.submitTransaction('put', 'key1', 'value1');
+        await contract.submitTransaction('delete', 'key1');
+        await delivered();
+        assert.deepStrictEqual(blocks, ['1', '2']);
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].event.event_name, 'put');
+        assert.deepStrictEqual(JSON.parse(events[0].event.payload.toString()), { key: 'key1', value: 'value1' });
+        assert.strictEqual(events[0].blockNumber, '1');
+        assert.strictEqual(events[0].status, 'VALID');
+        hub.disconnect();
+    });
+
+    it('should replay the blocks already committed to the listeners with a start block', async () => {
+        const { channel, contract } = await connect({ contract: 'keyvalue' });
+        await contract.submitTransaction('put', 'key1', 'value1');
+        const hub = channel.newChannelEventHub('peer0.simulated');
+        let blocks = [];
+        let errors = [];
+        hub.registerBlockEvent((block) => blocks.push(block.number), (error) => errors.push(error.message), { startBlock: 1, endBlock: 2 });
+        hub.connect(false);
+        await delivered();
+        await contract.submitTransaction('put', 'key2', 'value2');
+        await contract.submitTransaction('put', 'key3', 'value3');
+        await delivered();
+        assert.deepStrictEqual(blocks, ['1', '2']);
+        assert.deepStrictEqual(errors, ['Shutdown due to end block number has been seen: 2']);
+    });
+
+    it('should return the keys of a range, without the keys deleted', async () => {
+        const { contract } = await connect({ contract: 'keyvalue' });
+        await contract.submitTransaction('put', 'a', '1');
+        await contract.submitTransaction('put', 'b', '2');
+        await contract.submitTransaction('put', 'c', '3');
+        await contract.submitTransaction('delete', 'b');
+        const range = (startKey, endKey) => contract.evaluateTransaction('getRange', startKey, endKey).then((result) => JSON.parse(result.toString()));
+        assert.deepStrictEqual(await range('', ''), [{ key: 'a', value: '1' }, { key: 'c', value: '3' }]);
+        assert.deepStrictEqual(await range('b', ''), [{ key: 'c', value: '3' }]);
+        assert.deepStrictEqual(await range('', 'c'), [{ key: 'a', value: '1' }]);
+    });
+
+    it('should keep binary values', async () => {
+        const { contract } = await connect({ contract: 'custom', code: COUNTER_CONTRACT });
+        await contract.submitTransaction('putBytes', 'key1');
+        assert.deepStrictEqual(await contract.evaluateTransaction('get', 'key1'), Buffer.from([0xff, 0x00, 0xc3]));
+    });
+
+    it('should invalidate a transaction whose reads changed before it was committed', async () => {
+        const { channel, contract } = await connect({ contract: 'custom', code: COUNTER_CONTRACT });
+        const results = await Promise.all([
+            contract.submitTransaction('increment', 'counter').then((result) => result.toString(), (error) => error),
+            contract.submitTransaction('increment', 'counter').then((result) => result.toString(), (error) => error)
+        ]);
+        assert.strictEqual(results[0], '1');
+        assert.ok(results[1] instanceof Error);
+        assert.match(results[1].message, /^Peer localhost:7051 has rejected transaction ".*" with code "MVCC_READ_CONFLICT"$/);
+        assert.strictEqual(results[1].transactionCode, 'MVCC_READ_CONFLICT');
+        assert.deepStrictEqual((await channel.queryBlock(2)).metadata.metadata[2], [11]);
+        assert.strictEqual((await channel.queryTransaction(results[1].transactionId)).validationCode, 11);
+        assert.strictEqual((await contract.evaluateTransaction('get', 'counter')).toString(), '1');
+        assert.strictEqual((await contract.submitTransaction('increment', 'counter')).toString(), '2');
+    });
+
+    it('should reject a contract that exports no transaction', () => {
+        assert.throws(() => simulator.compileContract('module.exports = 1;'), /the contract should export an object of transaction functions/);
+    });
+
+    it('should stop a contract that does not return when it is loaded', () => {
+        assert.throws(() => simulator.compileContract('while (true) {}'), /Script execution timed out/);
+    }).timeout(5000);
+
+    it('should return the metadata exported by the contract', async () => {
+        const { contract } = await connect({ contract: 'keyvalue' });
+        const metadata = JSON.parse((await contract.evaluateTransaction('org.hyperledger.fabric:GetMetadata')).toString());
+        assert.strictEqual(metadata.contracts.KeyValue.default, true);
+    });
+});